@@ -4,7 +4,7 @@
  * Root component with initialization, update checks, and error boundaries.
  * 
  * Initialization flow:
- * 1. Load fonts (3.8s minimum for splash screen)
+ * 1. Load fonts (3.8s minimum for splash screen) and migrate stored data (utils/storage.js)
  * 2. Check for forced updates (with offline fallback, max 7 days)
  * 3. Initialize analytics & IAP
  * 4. Render app with error boundary
@@ -16,6 +16,7 @@
  * - Custom error screen for crashes
  * - StatusBar background for edge-to-edge design
  * - IAP initialization (optional, won't block app)
+ * - Storage migrations finish before any context reads AsyncStorage
  */
 
 import * as Font from 'expo-font';
@@ -25,6 +26,9 @@ import { View, Platform, Alert } from 'react-native';
 import { SafeAreaProvider, useSafeAreaInsets } from 'react-native-safe-area-context';
 import Navigation from './navigation/Navigation';
 import { SavedQuestionsProvider } from './contexts/SavedQuestionsContext';
+import { CollectionsProvider } from './contexts/CollectionsContext';
+import { NotesProvider } from './contexts/NotesContext';
+import { RecentSearchesProvider } from './contexts/RecentSearchesContext';
 import { PopupProvider } from './contexts/PopupContext';
 import { FavoriteTabAnimationProvider } from './contexts/FavoriteTabAnimationContext';
 import { initSentry } from './sentry';
@@ -37,6 +41,8 @@ import { initializeAnalytics, getAnalyticsStatus } from './utils/analytics';
 import Constants from 'expo-constants';
 import { Linking } from 'react-native';
 import { iapService } from './utils/iapService';
+import { runStorageMigrations, loadStoredJSON } from './utils/storage';
+import { STORAGE_SCHEMAS } from './utils/storageMigrations';
 
 // Sentry initialisieren
 initSentry();
@@ -133,12 +139,18 @@ export default function App() {
   const [checkingUpdate, setCheckingUpdate] = useState(true);
   const [splashMinimumPassed, setSplashMinimumPassed] = useState(false);
   const [appInitialized, setAppInitialized] = useState(false);
+  const [storageMigrated, setStorageMigrated] = useState(false);
 
   // Reset error session on app start
   useEffect(() => {
     resetErrorSession();
   }, []);
 
+  // Bring stored data to the current schema before the contexts load it
+  useEffect(() => {
+    runStorageMigrations().finally(() => setStorageMigrated(true));
+  }, []);
+
   // Initialize IAP (optional, won't block app if it fails)
   useEffect(() => {
     const initIAP = async () => {
@@ -250,9 +262,13 @@ export default function App() {
       } catch (error) {
         // Offline fallback: check last successful update check
         try {
-          const saved = await AsyncStorage.getItem(UPDATE_STORAGE_KEY);
+          const { data: saved } = await loadStoredJSON(UPDATE_STORAGE_KEY, {
+            componentName: 'App',
+            isValid: STORAGE_SCHEMAS[UPDATE_STORAGE_KEY].isValid,
+            fallback: null,
+          });
           if (saved) {
-            const { timestamp, versionOk } = JSON.parse(saved);
+            const { timestamp, versionOk } = saved;
             const daysOffline = (Date.now() - timestamp) / (1000 * 60 * 60 * 24);
             if (!versionOk || daysOffline > MAX_OFFLINE_DAYS) {
               Alert.alert(
@@ -295,10 +311,10 @@ export default function App() {
       }
     };
 
-    if (fontsLoaded) {
+    if (fontsLoaded && storageMigrated) {
       checkForUpdate();
     }
-  }, [fontsLoaded]);
+  }, [fontsLoaded, storageMigrated]);
 
   // Initialize analytics
   useEffect(() => {
@@ -313,13 +329,13 @@ export default function App() {
 
   // Track initialization completion
   useEffect(() => {
-    if (fontsLoaded && !checkingUpdate && splashMinimumPassed) {
+    if (fontsLoaded && storageMigrated && !checkingUpdate && splashMinimumPassed) {
       setAppInitialized(true);
     }
-  }, [fontsLoaded, checkingUpdate, splashMinimumPassed]);
+  }, [fontsLoaded, storageMigrated, checkingUpdate, splashMinimumPassed]);
 
-  // Loading States
-  if (!fontsLoaded || checkingUpdate || !splashMinimumPassed) {
+  // Loading States - the contexts must not read storage before the migrations ran
+  if (!fontsLoaded || !storageMigrated || checkingUpdate || !splashMinimumPassed) {
     return (
       <>
         <StatusBar style="dark" />
@@ -369,15 +385,21 @@ export default function App() {
         }}
       >
         <SavedQuestionsProvider>
-          <PopupProvider>
-            <FavoriteTabAnimationProvider>
-              <SafeAreaProvider>
-                <StatusBar style="dark" />
-                {Platform.OS === 'android' && <StatusBarBackground />}
-                <Navigation />
-              </SafeAreaProvider>
-            </FavoriteTabAnimationProvider>
-          </PopupProvider>
+          <CollectionsProvider>
+            <NotesProvider>
+              <RecentSearchesProvider>
+                <PopupProvider>
+                  <FavoriteTabAnimationProvider>
+                    <SafeAreaProvider>
+                      <StatusBar style="dark" />
+                      {Platform.OS === 'android' && <StatusBarBackground />}
+                      <Navigation />
+                    </SafeAreaProvider>
+                  </FavoriteTabAnimationProvider>
+                </PopupProvider>
+              </RecentSearchesProvider>
+            </NotesProvider>
+          </CollectionsProvider>
         </SavedQuestionsProvider>
       </Sentry.ErrorBoundary>
     );
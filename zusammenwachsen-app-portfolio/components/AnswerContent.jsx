@@ -6,18 +6,86 @@
  * Internal navigation:
  * Links in markdown content are question IDs (e.g., "Q123"), not web URLs.
  * Clicking a link navigates to SingleQuestionScreen with that question ID.
+ *
+ * Search highlighting (optional):
+ * With highlightTerms, matched words in the rendered text are highlighted.
+ * The first paragraph containing a match is reported via onHighlightLayout(view)
+ * once it is laid out, so the parent list can measure it and scroll it into view.
  */
 
-import React from 'react';
+import React, { useRef, useEffect, useMemo } from 'react';
 import { logNavigationError, logUIRenderError } from '../utils/logError';
-import { View, StyleSheet } from 'react-native';
+import { View, StyleSheet, Text } from 'react-native';
 import { useNavigation } from '@react-navigation/native';
 import Markdown from 'react-native-markdown-display';
 import ShareButton from './ShareButton';
 import InterText from './InterText';
+import { highlightStyles } from './HighlightedText';
+import { findTermRanges, splitByRanges } from '../utils/searchHighlight';
 
-const AnswerContent = ({ color, answer, questionId, questionText }) => {
+// Concatenated text of a markdown AST node (used to find paragraphs with matches)
+const getNodeText = (node) => {
+  if (!node) return '';
+  if (typeof node.content === 'string' && node.content) return node.content;
+  return (node.children || []).map(getNodeText).join('');
+};
+
+const AnswerContent = ({ color, answer, questionId, questionText, highlightTerms, onHighlightLayout }) => {
   const navigation = useNavigation();
+  const firstHighlightRef = useRef(null);
+
+  // Layout may have happened while the card was still collapsed - report once a listener exists
+  useEffect(() => {
+    if (onHighlightLayout && firstHighlightRef.current) {
+      onHighlightLayout(firstHighlightRef.current);
+    }
+  }, [onHighlightLayout]);
+
+  const highlightRules = useMemo(() => {
+    if (!highlightTerms || highlightTerms.length === 0) return undefined;
+
+    let firstHighlightKey = null;
+
+    return {
+      text: (node, children, parent, markdownStyles, inheritedStyles = {}) => {
+        const segments = splitByRanges(node.content, findTermRanges(node.content, highlightTerms));
+
+        return (
+          <Text key={node.key} style={[inheritedStyles, markdownStyles.text]}>
+            {segments.map((segment, index) => (
+              segment.highlighted ? (
+                <Text key={index} style={highlightStyles.highlight}>{segment.text}</Text>
+              ) : (
+                segment.text
+              )
+            ))}
+          </Text>
+        );
+      },
+      paragraph: (node, children, parent, markdownStyles) => {
+        const hasMatch = findTermRanges(getNodeText(node), highlightTerms).length > 0;
+        if (hasMatch && firstHighlightKey === null) {
+          firstHighlightKey = node.key;
+        }
+
+        const isFirstHighlight = node.key === firstHighlightKey;
+
+        return (
+          <View
+            key={node.key}
+            ref={isFirstHighlight ? firstHighlightRef : undefined}
+            collapsable={isFirstHighlight ? false : undefined}
+            style={markdownStyles._VIEW_SAFE_paragraph}
+            onLayout={isFirstHighlight ? () => {
+              if (firstHighlightRef.current) onHighlightLayout?.(firstHighlightRef.current);
+            } : undefined}
+          >
+            {children}
+          </View>
+        );
+      },
+    };
+  }, [highlightTerms, onHighlightLayout]);
 
   // Links are question IDs, not URLs (e.g., "Q123" -> navigate to question Q123)
   const handleLinkPress = (url) => {
@@ -35,6 +103,7 @@ const AnswerContent = ({ color, answer, questionId, questionText }) => {
         <Markdown 
           style={simpleMarkdownStyles}
           onLinkPress={handleLinkPress}
+          rules={highlightRules}
         >
           {answer || ''}
         </Markdown>
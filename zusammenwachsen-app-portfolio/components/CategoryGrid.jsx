@@ -22,57 +22,27 @@ import CategoryCard from './CategoryCard';
 import { categoryColors } from '../assets/colors';
 import { logNavigationError } from '../utils/logError';
 import InterText from './InterText';
+import { CATEGORY_NAMES } from '../constants/categories';
 
-const categories = [
-  {
-    name: 'Elterliche Selbstfürsorge',
-    image: require('../assets/categorylogo/selfcare.png'),
-  },
-  {
-    name: 'Alltag & Routinen',
-    image: require('../assets/categorylogo/routines.png'),
-  },
-  {
-    name: 'Kommunikation & Konfliktlösung',
-    image: require('../assets/categorylogo/communication.png'),
-  },
-  {
-    name: 'Ernährung & Mahlzeiten',
-    image: require('../assets/categorylogo/nutrition.png'),
-  },
-  {
-    name: 'Spiele & Kreative Aktivitäten',
-    image: require('../assets/categorylogo/activities.png'),
-  },
-  {
-    name: 'Gesundheit & Körperpflege',
-    image: require('../assets/categorylogo/health.png'),
-  },
-  {
-    name: 'Kita & Schule',
-    image: require('../assets/categorylogo/school.png'),
-  },
-  {
-    name: 'Geschwister & Familie',
-    image: require('../assets/categorylogo/family.png'),
-  },
-  {
-    name: 'Soziale Kompetenzen',
-    image: require('../assets/categorylogo/social.png'),
-  },
-  {
-    name: 'Diversität & Inklusion',
-    image: require('../assets/categorylogo/diversity.png'),
-  },
-  {
-    name: 'Sicherheit & Prävention',
-    image: require('../assets/categorylogo/safety.png'),
-  },
-  {
-    name: 'Besondere Lebenssituation',
-    image: require('../assets/categorylogo/circumstances.png'),
-  },
-];
+const categoryImages = {
+  'Elterliche Selbstfürsorge': require('../assets/categorylogo/selfcare.png'),
+  'Alltag & Routinen': require('../assets/categorylogo/routines.png'),
+  'Kommunikation & Konfliktlösung': require('../assets/categorylogo/communication.png'),
+  'Ernährung & Mahlzeiten': require('../assets/categorylogo/nutrition.png'),
+  'Spiele & Kreative Aktivitäten': require('../assets/categorylogo/activities.png'),
+  'Gesundheit & Körperpflege': require('../assets/categorylogo/health.png'),
+  'Kita & Schule': require('../assets/categorylogo/school.png'),
+  'Geschwister & Familie': require('../assets/categorylogo/family.png'),
+  'Soziale Kompetenzen': require('../assets/categorylogo/social.png'),
+  'Diversität & Inklusion': require('../assets/categorylogo/diversity.png'),
+  'Sicherheit & Prävention': require('../assets/categorylogo/safety.png'),
+  'Besondere Lebenssituation': require('../assets/categorylogo/circumstances.png'),
+};
+
+const categories = CATEGORY_NAMES.map(name => ({
+  name,
+  image: categoryImages[name],
+}));
 
 export default function CategoryGrid({ onCategoryPress }) {
   const { width } = useWindowDimensions();
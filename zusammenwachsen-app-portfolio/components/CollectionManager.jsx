@@ -0,0 +1,206 @@
+/**
+ * CollectionManager.jsx
+ *
+ * "Sammlungen bearbeiten" sheet on the favorites list.
+ *
+ * Key features:
+ * - Rename inline (validated like new collections)
+ * - Reorder with up/down buttons (screen reader friendly, no drag gesture needed)
+ * - Delete with confirmation - the questions stay saved
+ * - The default collection can be renamed and moved, but not deleted
+ */
+
+import React, { useState } from 'react';
+import { Modal, View, TouchableOpacity, TextInput, ScrollView, StyleSheet, Alert } from 'react-native';
+import InterText from './InterText';
+import Icon from './Icon';
+import { useCollections, validateCollectionName } from '../contexts/CollectionsContext';
+import { DEFAULT_COLLECTION_ID, MAX_COLLECTION_NAME_LENGTH } from '../constants/collections';
+
+const CollectionManager = ({ visible, onClose }) => {
+  const { collections, renameCollection, moveCollection, deleteCollection } = useCollections();
+  const [editingId, setEditingId] = useState(null);
+  const [editingName, setEditingName] = useState('');
+
+  const startEditing = (collection) => {
+    setEditingId(collection.id);
+    setEditingName(collection.name);
+  };
+
+  const handleRename = async () => {
+    const error = validateCollectionName(editingName, collections, editingId);
+    if (error) {
+      Alert.alert('Sammlung umbenennen', error, [{ text: 'OK' }]);
+      return;
+    }
+
+    await renameCollection(editingId, editingName);
+    setEditingId(null);
+  };
+
+  const handleDelete = (collection) => {
+    Alert.alert(
+      'Sammlung löschen',
+      `Möchtest du die Sammlung "${collection.name}" löschen? Die Fragen bleiben in deinen Favoriten gespeichert.`,
+      [
+        { text: 'Abbrechen', style: 'cancel' },
+        { text: 'Löschen', style: 'destructive', onPress: () => deleteCollection(collection.id) },
+      ]
+    );
+  };
+
+  const handleClose = () => {
+    setEditingId(null);
+    onClose();
+  };
+
+  return (
+    <Modal visible={visible} transparent animationType="slide" onRequestClose={handleClose}>
+      <View style={styles.backdrop}>
+        <View style={styles.sheet}>
+          <InterText style={styles.title} accessibilityRole="header">Sammlungen bearbeiten</InterText>
+
+          <ScrollView style={styles.list} keyboardShouldPersistTaps="handled">
+            {collections.map((collection, index) => (
+              <View key={collection.id} style={styles.row}>
+                {editingId === collection.id ? (
+                  <TextInput
+                    style={styles.input}
+                    value={editingName}
+                    onChangeText={setEditingName}
+                    onSubmitEditing={handleRename}
+                    onBlur={() => setEditingId(null)}
+                    maxLength={MAX_COLLECTION_NAME_LENGTH}
+                    autoFocus
+                    returnKeyType="done"
+                    accessibilityLabel={`Neuer Name für ${collection.name}`}
+                  />
+                ) : (
+                  <TouchableOpacity
+                    style={styles.nameButton}
+                    onPress={() => startEditing(collection)}
+                    accessibilityRole="button"
+                    accessibilityLabel={`${collection.name}, ${collection.questionIds.length} Fragen`}
+                    accessibilityHint="Tippe doppelt, um die Sammlung umzubenennen"
+                  >
+                    <InterText style={styles.nameText} numberOfLines={1}>{collection.name}</InterText>
+                    <Icon name="create-outline" size={16} color="#999" />
+                  </TouchableOpacity>
+                )}
+
+                <TouchableOpacity
+                  onPress={() => moveCollection(collection.id, -1)}
+                  disabled={index === 0}
+                  style={styles.iconButton}
+                  accessibilityRole="button"
+                  accessibilityLabel={`${collection.name} nach oben verschieben`}
+                  accessibilityState={{ disabled: index === 0 }}
+                >
+                  <Icon name="chevron-up" size={22} color={index === 0 ? '#ddd' : '#56626a'} />
+                </TouchableOpacity>
+                <TouchableOpacity
+                  onPress={() => moveCollection(collection.id, 1)}
+                  disabled={index === collections.length - 1}
+                  style={styles.iconButton}
+                  accessibilityRole="button"
+                  accessibilityLabel={`${collection.name} nach unten verschieben`}
+                  accessibilityState={{ disabled: index === collections.length - 1 }}
+                >
+                  <Icon name="chevron-down" size={22} color={index === collections.length - 1 ? '#ddd' : '#56626a'} />
+                </TouchableOpacity>
+                {collection.id !== DEFAULT_COLLECTION_ID ? (
+                  <TouchableOpacity
+                    onPress={() => handleDelete(collection)}
+                    style={styles.iconButton}
+                    accessibilityRole="button"
+                    accessibilityLabel={`${collection.name} löschen`}
+                  >
+                    <Icon name="trash-outline" size={20} color="#c0897f" />
+                  </TouchableOpacity>
+                ) : (
+                  <View style={styles.iconButton} />
+                )}
+              </View>
+            ))}
+          </ScrollView>
+
+          <TouchableOpacity onPress={handleClose} style={styles.doneButton} accessibilityRole="button">
+            <InterText style={styles.doneText}>Fertig</InterText>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0, 0, 0, 0.3)',
+  },
+  sheet: {
+    maxHeight: '80%',
+    padding: 20,
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    backgroundColor: '#fff',
+  },
+  title: {
+    fontSize: 18,
+    fontFamily: 'Inter-Bold',
+    color: '#56626a',
+  },
+  list: {
+    marginTop: 12,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+    borderBottomColor: '#e5e5e5',
+  },
+  nameButton: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+  },
+  nameText: {
+    flexShrink: 1,
+    fontSize: 16,
+    color: '#333',
+    marginRight: 6,
+  },
+  input: {
+    flex: 1,
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    borderRadius: 8,
+    backgroundColor: '#f3f3f3',
+    fontSize: 16,
+    fontFamily: 'Inter-Regular',
+    color: '#333',
+  },
+  iconButton: {
+    width: 36,
+    alignItems: 'center',
+    paddingVertical: 6,
+  },
+  doneButton: {
+    alignSelf: 'flex-end',
+    marginTop: 16,
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderRadius: 10,
+    backgroundColor: '#c0897f',
+  },
+  doneText: {
+    fontSize: 16,
+    fontFamily: 'Inter-Bold',
+    color: '#fff',
+  },
+});
+
+export default CollectionManager;
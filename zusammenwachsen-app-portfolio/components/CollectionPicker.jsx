@@ -0,0 +1,212 @@
+/**
+ * CollectionPicker.jsx
+ *
+ * "In Sammlung speichern" sheet for one question (long press on the heart).
+ *
+ * Key features:
+ * - Check/uncheck any number of collections
+ * - Create a new collection inline (pre-checked)
+ * - Changes apply on "Fertig" - "Abbrechen" or the back button discards them
+ */
+
+import React, { useState, useEffect } from 'react';
+import { Modal, View, TouchableOpacity, TextInput, ScrollView, StyleSheet, Alert } from 'react-native';
+import InterText from './InterText';
+import Icon from './Icon';
+import { useCollections, validateCollectionName } from '../contexts/CollectionsContext';
+import { MAX_COLLECTION_NAME_LENGTH } from '../constants/collections';
+import { logUIRenderError } from '../utils/logError';
+
+const CollectionPicker = ({ visible, questionId, questionText, onClose }) => {
+  const { collections, createCollection, setQuestionCollections, getCollectionsForQuestion } = useCollections();
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [newName, setNewName] = useState('');
+
+  // Fresh selection every time the sheet opens
+  useEffect(() => {
+    if (visible && questionId) {
+      setSelectedIds(getCollectionsForQuestion(questionId));
+      setNewName('');
+    }
+  }, [visible, questionId]);
+
+  const toggleCollection = (collectionId) => {
+    setSelectedIds(current => (current.includes(collectionId)
+      ? current.filter(id => id !== collectionId)
+      : [...current, collectionId]));
+  };
+
+  const handleCreate = async () => {
+    const error = validateCollectionName(newName, collections);
+    if (error) {
+      Alert.alert('Neue Sammlung', error, [{ text: 'OK' }]);
+      return;
+    }
+
+    const collectionId = await createCollection(newName);
+    if (collectionId) {
+      setSelectedIds(current => [...current, collectionId]);
+      setNewName('');
+    }
+  };
+
+  const handleDone = async () => {
+    try {
+      await setQuestionCollections(questionId, selectedIds);
+    } catch (error) {
+      logUIRenderError(error, 'CollectionPicker', 'handleDone');
+    }
+    onClose();
+  };
+
+  return (
+    <Modal visible={visible} transparent animationType="slide" onRequestClose={onClose}>
+      <View style={styles.backdrop}>
+        <View style={styles.sheet}>
+          <InterText style={styles.title} accessibilityRole="header">In Sammlung speichern</InterText>
+          {questionText ? (
+            <InterText style={styles.questionText} numberOfLines={2}>{questionText}</InterText>
+          ) : null}
+
+          <ScrollView style={styles.list} keyboardShouldPersistTaps="handled">
+            {collections.map(collection => {
+              const isSelected = selectedIds.includes(collection.id);
+              return (
+                <TouchableOpacity
+                  key={collection.id}
+                  style={styles.row}
+                  onPress={() => toggleCollection(collection.id)}
+                  accessibilityRole="checkbox"
+                  accessibilityLabel={collection.name}
+                  accessibilityState={{ checked: isSelected }}
+                >
+                  <Icon name={isSelected ? 'checkbox' : 'square-outline'} size={24} color={isSelected ? '#c0897f' : '#999'} />
+                  <InterText style={styles.rowText}>{collection.name}</InterText>
+                  <InterText style={styles.countText}>{collection.questionIds.length}</InterText>
+                </TouchableOpacity>
+              );
+            })}
+          </ScrollView>
+
+          <View style={styles.createRow}>
+            <TextInput
+              style={styles.input}
+              value={newName}
+              onChangeText={setNewName}
+              onSubmitEditing={handleCreate}
+              placeholder="Neue Sammlung, z. B. Schlafenszeit"
+              placeholderTextColor="#999"
+              maxLength={MAX_COLLECTION_NAME_LENGTH}
+              returnKeyType="done"
+              accessibilityLabel="Name der neuen Sammlung"
+            />
+            <TouchableOpacity
+              onPress={handleCreate}
+              disabled={!newName.trim()}
+              accessibilityRole="button"
+              accessibilityLabel="Sammlung anlegen"
+              accessibilityState={{ disabled: !newName.trim() }}
+            >
+              <Icon name="add-circle-outline" size={28} color={newName.trim() ? '#c0897f' : '#ccc'} />
+            </TouchableOpacity>
+          </View>
+
+          <View style={styles.buttonRow}>
+            <TouchableOpacity onPress={onClose} style={styles.button} accessibilityRole="button">
+              <InterText style={styles.cancelText}>Abbrechen</InterText>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={handleDone} style={[styles.button, styles.doneButton]} accessibilityRole="button">
+              <InterText style={styles.doneText}>Fertig</InterText>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0, 0, 0, 0.3)',
+  },
+  sheet: {
+    maxHeight: '80%',
+    padding: 20,
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    backgroundColor: '#fff',
+  },
+  title: {
+    fontSize: 18,
+    fontFamily: 'Inter-Bold',
+    color: '#56626a',
+  },
+  questionText: {
+    fontSize: 14,
+    color: '#777',
+    marginTop: 4,
+  },
+  list: {
+    marginTop: 12,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+    borderBottomColor: '#e5e5e5',
+  },
+  rowText: {
+    flex: 1,
+    fontSize: 16,
+    color: '#333',
+    marginLeft: 10,
+  },
+  countText: {
+    fontSize: 14,
+    color: '#999',
+  },
+  createRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 12,
+  },
+  input: {
+    flex: 1,
+    marginRight: 10,
+    paddingVertical: 8,
+    paddingHorizontal: 10,
+    borderRadius: 10,
+    backgroundColor: '#f3f3f3',
+    fontSize: 15,
+    fontFamily: 'Inter-Regular',
+    color: '#333',
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 16,
+  },
+  button: {
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderRadius: 10,
+  },
+  doneButton: {
+    marginLeft: 8,
+    backgroundColor: '#c0897f',
+  },
+  cancelText: {
+    fontSize: 16,
+    color: '#56626a',
+  },
+  doneText: {
+    fontSize: 16,
+    fontFamily: 'Inter-Bold',
+    color: '#fff',
+  },
+});
+
+export default CollectionPicker;
@@ -0,0 +1,91 @@
+/**
+ * CollectionTabs.jsx
+ *
+ * Collection chips above the favorites list: "Alle" + one chip per collection,
+ * plus a button that opens the collection manager (rename, reorder, delete).
+ */
+
+import React from 'react';
+import { ScrollView, TouchableOpacity, StyleSheet } from 'react-native';
+import InterText from './InterText';
+import Icon from './Icon';
+
+const CollectionTabs = ({ collections, totalCount, selectedCollectionId, onSelectCollection, onManage }) => {
+  const renderChip = (key, label, count, isSelected, onPress) => (
+    <TouchableOpacity
+      key={key}
+      onPress={onPress}
+      activeOpacity={0.7}
+      style={[styles.chip, isSelected && styles.chipSelected]}
+      accessibilityRole="tab"
+      accessibilityLabel={`${label}, ${count} Fragen`}
+      accessibilityState={{ selected: isSelected }}
+    >
+      <InterText style={[styles.chipText, isSelected && styles.chipTextSelected]}>
+        {label} ({count})
+      </InterText>
+    </TouchableOpacity>
+  );
+
+  return (
+    <ScrollView
+      horizontal
+      showsHorizontalScrollIndicator={false}
+      keyboardShouldPersistTaps="handled"
+      contentContainerStyle={styles.container}
+      accessibilityRole="tablist"
+      accessibilityLabel="Sammlungen"
+    >
+      {renderChip('all', 'Alle', totalCount, !selectedCollectionId, () => onSelectCollection(null))}
+      {collections.map(collection => renderChip(
+        collection.id,
+        collection.name,
+        collection.questionIds.length,
+        selectedCollectionId === collection.id,
+        () => onSelectCollection(collection.id)
+      ))}
+      <TouchableOpacity
+        onPress={onManage}
+        style={styles.manageButton}
+        accessibilityRole="button"
+        accessibilityLabel="Sammlungen bearbeiten"
+      >
+        <Icon name="settings-outline" size={18} color="#56626a" />
+      </TouchableOpacity>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    alignItems: 'center',
+    paddingHorizontal: 10,
+    paddingTop: 10,
+  },
+  chip: {
+    borderWidth: 1,
+    borderColor: '#c0897f',
+    borderRadius: 16,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginRight: 6,
+    backgroundColor: '#fff',
+  },
+  chipSelected: {
+    backgroundColor: '#c0897f',
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#56626a',
+  },
+  chipTextSelected: {
+    fontFamily: 'Inter-Bold',
+    color: '#fff',
+  },
+  manageButton: {
+    paddingHorizontal: 8,
+    paddingVertical: 6,
+  },
+});
+
+export default CollectionTabs;
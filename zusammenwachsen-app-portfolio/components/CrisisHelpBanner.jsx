@@ -0,0 +1,175 @@
+/**
+ * CrisisHelpBanner.jsx
+ *
+ * Prominent help box above the search results for crisis queries
+ * (see utils/crisisDetection.js).
+ *
+ * Key features:
+ * - German emergency and counselling numbers, one tap to call
+ * - Links to the matching categories ("Sicherheit & Prävention", "Besondere Lebenssituation")
+ * - Announced to screen readers as soon as it appears
+ * - Never receives or logs the query text - only the detected topic
+ */
+
+import React from 'react';
+import { View, TouchableOpacity, StyleSheet, Linking } from 'react-native';
+import { useNavigation } from '@react-navigation/native';
+import InterText from './InterText';
+import Icon from './Icon';
+import { categoryColors } from '../assets/colors';
+import { CATEGORY_NAMES } from '../constants/categories';
+import { CRISIS_TOPICS } from '../utils/crisisDetection';
+import { logNavigationError } from '../utils/logError';
+
+const HELP_NUMBERS = [
+  {
+    label: 'Notruf',
+    description: 'Bei akuter Gefahr',
+    number: '112',
+  },
+  {
+    label: 'Elterntelefon',
+    description: 'Nummer gegen Kummer, anonym & kostenlos',
+    number: '0800 111 0 550',
+  },
+  {
+    label: 'Kinder- und Jugendtelefon',
+    description: 'Nummer gegen Kummer, anonym & kostenlos',
+    number: '116 111',
+  },
+];
+
+const INTRO_TEXTS = {
+  [CRISIS_TOPICS.SELF_HARM]: 'Wenn du dir Sorgen machst, dass sich jemand etwas antut, bist du damit nicht allein. Hier bekommst du sofort Hilfe:',
+  [CRISIS_TOPICS.VIOLENCE]: 'Wenn du oder dein Kind Gewalt erlebt, bist du damit nicht allein. Hier bekommst du sofort Hilfe:',
+};
+
+const CrisisHelpBanner = ({ crisis }) => {
+  const navigation = useNavigation();
+
+  if (!crisis) return null;
+
+  const handleCall = async (number) => {
+    try {
+      await Linking.openURL(`tel:${number.replace(/\s/g, '')}`);
+    } catch (error) {
+      logNavigationError(error, 'CrisisHelpBanner', 'handleCall');
+    }
+  };
+
+  // Categories live in the home stack - same params as the category grid
+  const handleOpenCategory = (categoryName) => {
+    try {
+      const index = CATEGORY_NAMES.indexOf(categoryName);
+      const color = categoryColors[Math.max(index, 0) % categoryColors.length];
+      navigation.navigate('HomeTab', { screen: 'SubCategory', params: { categoryName, color } });
+    } catch (error) {
+      logNavigationError(error, 'CrisisHelpBanner', 'handleOpenCategory');
+    }
+  };
+
+  return (
+    <View
+      style={styles.container}
+      accessibilityRole="alert"
+      accessibilityLiveRegion="assertive"
+    >
+      <InterText style={styles.title} accessibilityRole="header">Du bist nicht allein</InterText>
+      <InterText style={styles.introText}>
+        {INTRO_TEXTS[crisis.topic] || INTRO_TEXTS[CRISIS_TOPICS.SELF_HARM]}
+      </InterText>
+
+      {HELP_NUMBERS.map(({ label, description, number }) => (
+        <TouchableOpacity
+          key={number}
+          style={styles.numberRow}
+          onPress={() => handleCall(number)}
+          accessibilityRole="button"
+          accessibilityLabel={`${label} anrufen: ${number}`}
+          accessibilityHint={description}
+        >
+          <Icon name="call" size={20} color="#9b2c2c" />
+          <View style={styles.numberTextContainer}>
+            <InterText style={styles.numberLabel}>{label}: {number}</InterText>
+            <InterText style={styles.numberDescription}>{description}</InterText>
+          </View>
+        </TouchableOpacity>
+      ))}
+
+      <View style={styles.categoryRow}>
+        {crisis.categories.map(categoryName => (
+          <TouchableOpacity
+            key={categoryName}
+            style={styles.categoryButton}
+            onPress={() => handleOpenCategory(categoryName)}
+            accessibilityRole="button"
+            accessibilityLabel={`Kategorie ${categoryName} öffnen`}
+          >
+            <InterText style={styles.categoryText}>{categoryName}</InterText>
+          </TouchableOpacity>
+        ))}
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginHorizontal: 10,
+    marginBottom: 10,
+    padding: 14,
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: '#e3b5b5',
+    backgroundColor: '#fdf1f0',
+  },
+  title: {
+    fontSize: 17,
+    fontFamily: 'Inter-Bold',
+    color: '#9b2c2c',
+    marginBottom: 6,
+  },
+  introText: {
+    fontSize: 15,
+    color: '#333',
+    marginBottom: 8,
+  },
+  numberRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+  },
+  numberTextContainer: {
+    flex: 1,
+    marginLeft: 10,
+  },
+  numberLabel: {
+    fontSize: 16,
+    fontFamily: 'Inter-Bold',
+    color: '#9b2c2c',
+  },
+  numberDescription: {
+    fontSize: 13,
+    color: '#56626a',
+  },
+  categoryRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 6,
+  },
+  categoryButton: {
+    borderWidth: 1,
+    borderColor: '#c0897f',
+    borderRadius: 16,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginRight: 8,
+    marginTop: 6,
+  },
+  categoryText: {
+    fontSize: 14,
+    color: '#c0897f',
+  },
+});
+
+export default CrisisHelpBanner;
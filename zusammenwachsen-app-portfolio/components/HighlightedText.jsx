@@ -0,0 +1,54 @@
+/**
+ * HighlightedText.jsx
+ *
+ * Renders text with highlighted ranges (search matches).
+ * Falls back to plain text when no ranges are given.
+ *
+ * Ranges are [start, end) indices into the original text,
+ * as returned by searchHighlight.findTermRanges().
+ *
+ * highlightStyles.highlight is shared with AnswerContent, so titles and
+ * answers mark matches the same way.
+ */
+
+import React from 'react';
+import { StyleSheet } from 'react-native';
+import InterText from './InterText';
+import { splitByRanges } from '../utils/searchHighlight';
+
+const HighlightedText = ({ text, ranges, style, highlightStyle, ...textProps }) => {
+  if (!ranges || ranges.length === 0) {
+    return <InterText style={style} {...textProps}>{text}</InterText>;
+  }
+
+  let segments;
+  try {
+    segments = splitByRanges(text, ranges);
+  } catch (error) {
+    // Highlighting is cosmetic - show plain text instead
+    return <InterText style={style} {...textProps}>{text}</InterText>;
+  }
+
+  return (
+    <InterText style={style} {...textProps}>
+      {segments.map((segment, index) => (
+        segment.highlighted ? (
+          <InterText key={index} style={[highlightStyles.highlight, highlightStyle]}>
+            {segment.text}
+          </InterText>
+        ) : (
+          segment.text
+        )
+      ))}
+    </InterText>
+  );
+};
+
+export const highlightStyles = StyleSheet.create({
+  highlight: {
+    fontFamily: 'Inter-Bold',
+    backgroundColor: '#fbe3c4',
+  },
+});
+
+export default HighlightedText;
@@ -8,13 +8,23 @@
  * - React.memo on individual cards
  * - Ref-based toggle handlers (prevent recreation on re-renders)
  * - windowSize={5} and removeClippedSubviews for FlatList
+ *
+ * Favorites mode (savedOnly): collection tabs (see CollectionsContext), filter bar with
+ * text search, category chips and sorting by date saved or title
+ * (see SavedQuestionsFilterBar, savedQuestionsFilter.js).
+ *
+ * Long press on a heart: "In Sammlung speichern" (CollectionPicker).
+ * Personal notes: editor under the expanded answer, note icon on collapsed cards.
+ *
+ * Optional sections: a question with `sectionTitle` gets a header above its card
+ * (e.g. "Für dich" / "Beliebt" on SearchScreen) - one FlatList, so scrolling stays intact.
  * 
  * Error handling:
  * Critical errors (question mapping, card press) are logged.
  * Non-critical errors (analytics, scroll, pagination) fail silently.
  */
 
-import React, { useState, useRef, useEffect, memo, useCallback } from 'react';
+import React, { useState, useRef, useEffect, memo, useCallback, useMemo } from 'react';
 import { logUIRenderError } from '../utils/logError';
 import InterText from '../components/InterText';
 import { View, FlatList, StyleSheet, TouchableOpacity, Keyboard, Image, InteractionManager } from 'react-native';
@@ -31,6 +41,20 @@ import { useFavoriteTabAnimation } from '../contexts/FavoriteTabAnimationContext
 import { useIsQuestionSaved } from '../contexts/useIsQuestionSaved';
 import { ActivityIndicator } from 'react-native';
 import { trackCardOpened, trackQuestionSaved } from '../utils/analytics';
+import { recordQuestionOpened } from '../utils/questionUsage';
+import SavedQuestionsFilterBar from './SavedQuestionsFilterBar';
+import CollectionTabs from './CollectionTabs';
+import CollectionManager from './CollectionManager';
+import CollectionPicker from './CollectionPicker';
+import { useCollections } from '../contexts/CollectionsContext';
+import QuestionNoteEditor from './QuestionNoteEditor';
+import { useNotes } from '../contexts/NotesContext';
+import { SAVED_SORT, filterSavedQuestions, buildSavedCategoryFacets } from '../utils/savedQuestionsFilter';
+import { normalizeQuery } from '../utils/FuseSearch';
+import { preloadCategoryIndex, getCategoryForQuestion } from '../utils/categoryIndex';
+
+// Below this many favorites the filter bar is only in the way
+const MIN_SAVED_FOR_FILTER = 5;
 
 export default function QuestionCards({
   color,
@@ -42,6 +66,7 @@ export default function QuestionCards({
   const flatListRef = useRef(null);
   const [popupIndex, setPopupIndex] = useState(0);
   const toggleHandlers = useRef({});
+  const filteredQuestionsRef = useRef([]); // Cards as listed - the cached toggle handlers keep their first handleCardPress
   const { savedQuestions, toggleSaveQuestion } = useSavedQuestions();
   const {
     openCardCount,
@@ -56,6 +81,34 @@ export default function QuestionCards({
   const { triggerHighlight } = useFavoriteTabAnimation();
   const [questionError, setQuestionError] = useState(null);
   const [itemsToShow, setItemsToShow] = useState(10); // Lazy loading counter
+  const [savedFilterQuery, setSavedFilterQuery] = useState('');
+  const [savedFilterCategory, setSavedFilterCategory] = useState(null);
+  const [savedSort, setSavedSort] = useState(SAVED_SORT.NEWEST);
+  const [isCategoryIndexLoaded, setIsCategoryIndexLoaded] = useState(false);
+  const [selectedCollectionId, setSelectedCollectionId] = useState(null);
+  const [isCollectionManagerVisible, setIsCollectionManagerVisible] = useState(false);
+  const [collectionPickerQuestion, setCollectionPickerQuestion] = useState(null);
+  const { collections } = useCollections();
+
+  // Category chips need the category index (loads async)
+  useEffect(() => {
+    if (!savedOnly) return;
+
+    let isMounted = true;
+    preloadCategoryIndex().then(index => {
+      if (isMounted && index) setIsCategoryIndexLoaded(true);
+    });
+    return () => { isMounted = false; };
+  }, [savedOnly]);
+
+  // Indexes of the previous filter result would point at other cards
+  useEffect(() => {
+    setExpandedCardIndex(null);
+  }, [savedFilterQuery, savedFilterCategory, savedSort, selectedCollectionId]);
+
+  const openCollectionPicker = useCallback((questionId, questionText) => {
+    setCollectionPickerQuestion({ questionId, questionText });
+  }, []);
 
   // Preload images to prevent flicker on first render
   useEffect(() => {
@@ -123,13 +176,16 @@ export default function QuestionCards({
       
       setExpandedCardIndex((prevIndex) => {
         const isOpeningCard = prevIndex !== index;
+        const openedQuestionId = filteredQuestionsRef.current[index]?.questionId;
         
-        if (isOpeningCard && allQuestions[index]?.questionId) {
+        if (isOpeningCard && openedQuestionId) {
           try {
-            trackCardOpened(allQuestions[index].questionId);
+            trackCardOpened(openedQuestionId);
           } catch (analyticsError) {
             // Analytics failure doesn't impact UX
           }
+          // On-device only ("Für dich" on SearchScreen) - never blocks the UI
+          recordQuestionOpened(openedQuestionId);
         }
         
         return prevIndex === index ? null : index;
@@ -153,7 +209,7 @@ export default function QuestionCards({
       // ✅ Card-Press-Fehler sind kritisch (Core-Interaction)
       logUIRenderError(error, 'QuestionCards', 'handleCardPress');
     }
-  }, [incrementOpenCardCount, allQuestions]);
+  }, [incrementOpenCardCount]);
 
   // Show donation popup every 14 opened cards
   useEffect(() => {
@@ -169,9 +225,55 @@ export default function QuestionCards({
     }
   }, [openCardCount, showPopup, resetOpenCardCount]);
   
-  const filteredQuestions = savedOnly
-    ? allQuestions.filter(q => savedQuestions[q.questionId])
-    : allQuestions;
+  const allSavedQuestions = useMemo(
+    () => (savedOnly ? allQuestions.filter(q => savedQuestions[q.questionId]) : []),
+    [savedOnly, allQuestions, savedQuestions]
+  );
+
+  const selectedCollection = collections.find(collection => collection.id === selectedCollectionId) || null;
+
+  // Deleted collection - back to "Alle"
+  useEffect(() => {
+    if (selectedCollectionId && !selectedCollection) setSelectedCollectionId(null);
+  }, [selectedCollectionId, selectedCollection]);
+
+  const savedOnlyQuestions = useMemo(() => {
+    if (!selectedCollection) return allSavedQuestions;
+    const memberIds = new Set(selectedCollection.questionIds);
+    return allSavedQuestions.filter(q => memberIds.has(q.questionId));
+  }, [allSavedQuestions, selectedCollection]);
+
+  const savedCategoryFacets = useMemo(
+    () => (isCategoryIndexLoaded ? buildSavedCategoryFacets(savedOnlyQuestions, getCategoryForQuestion) : []),
+    [isCategoryIndexLoaded, savedOnlyQuestions]
+  );
+
+  // Last favorite of the selected category removed - its chip is gone, so drop the filter too
+  useEffect(() => {
+    if (savedFilterCategory && !savedCategoryFacets.some(facet => facet.category === savedFilterCategory)) {
+      setSavedFilterCategory(null);
+    }
+  }, [savedFilterCategory, savedCategoryFacets]);
+
+  const filteredQuestions = useMemo(() => {
+    if (!savedOnly) return allQuestions;
+
+    try {
+      return filterSavedQuestions(savedOnlyQuestions, {
+        savedQuestions,
+        normalizedQuery: normalizeQuery(savedFilterQuery),
+        category: savedFilterCategory,
+        getCategory: getCategoryForQuestion,
+        sort: savedSort,
+      });
+    } catch (error) {
+      logUIRenderError(error, 'QuestionCards', 'filterSavedQuestions');
+      return savedOnlyQuestions;
+    }
+  }, [savedOnly, allQuestions, savedOnlyQuestions, savedQuestions, savedFilterQuery, savedFilterCategory, savedSort]);
+  filteredQuestionsRef.current = filteredQuestions;
+
+  const showSavedFilter = savedOnly && allSavedQuestions.length >= MIN_SAVED_FOR_FILTER;
 
   const visibleQuestions = filteredQuestions.slice(0, itemsToShow);
 
@@ -195,7 +297,7 @@ export default function QuestionCards({
         toggleHandlers.current[index] = () => handleCardPress(index);
       }
     
-      return (
+      const card = (
         <QuestionItem
           questionId={item.questionId}
           questionText={item.questionText}
@@ -205,8 +307,18 @@ export default function QuestionCards({
           color={color}
           isExpanded={expandedCardIndex === index}
           onToggle={toggleHandlers.current[index]}
+          onSaveToCollection={openCollectionPicker}
         />
       );
+
+      if (!item.sectionTitle) return card;
+
+      return (
+        <View>
+          <InterText style={styles.sectionTitle} accessibilityRole="header">{item.sectionTitle}</InterText>
+          {card}
+        </View>
+      );
     } catch (error) {
       return (
         <View style={styles.card}>
@@ -214,7 +326,7 @@ export default function QuestionCards({
         </View>
       );
     }
-  }, [expandedCardIndex, color, handleCardPress]);
+  }, [expandedCardIndex, color, handleCardPress, openCollectionPicker]);
 
   return (
     <View style={{ flex: 1 }}>
@@ -224,6 +336,37 @@ export default function QuestionCards({
         </InterText>
       )}
       
+      {savedOnly && allSavedQuestions.length > 0 && (
+        <CollectionTabs
+          collections={collections}
+          totalCount={allSavedQuestions.length}
+          selectedCollectionId={selectedCollectionId}
+          onSelectCollection={setSelectedCollectionId}
+          onManage={() => setIsCollectionManagerVisible(true)}
+        />
+      )}
+
+      {showSavedFilter && (
+        <SavedQuestionsFilterBar
+          query={savedFilterQuery}
+          onChangeQuery={setSavedFilterQuery}
+          facets={savedCategoryFacets}
+          total={savedOnlyQuestions.length}
+          selectedCategory={savedFilterCategory}
+          onSelectCategory={setSavedFilterCategory}
+          sort={savedSort}
+          onChangeSort={setSavedSort}
+        />
+      )}
+
+      {savedOnly && allSavedQuestions.length > 0 && filteredQuestions.length === 0 && (
+        <InterText style={styles.emptyFilterText} accessibilityLiveRegion="polite">
+          {selectedCollection && savedOnlyQuestions.length === 0
+            ? 'Diese Sammlung ist noch leer. Halte das Herz einer Frage gedrückt, um sie hier zu speichern.'
+            : 'Keine gespeicherten Fragen passen zu deiner Suche.'}
+        </InterText>
+      )}
+
       <FlatList
         ref={flatListRef}
         data={visibleQuestions}
@@ -245,6 +388,18 @@ export default function QuestionCards({
         }
       />
       
+      <CollectionPicker
+        visible={!!collectionPickerQuestion}
+        questionId={collectionPickerQuestion?.questionId}
+        questionText={collectionPickerQuestion?.questionText}
+        onClose={() => setCollectionPickerQuestion(null)}
+      />
+      {savedOnly && (
+        <CollectionManager
+          visible={isCollectionManagerVisible}
+          onClose={() => setIsCollectionManagerVisible(false)}
+        />
+      )}
       <Popup visible={isPopupVisible} onClose={closePopup} popupIndex={popupIndex} />
       {showHintBanner && <DonationHintBanner onClose={closeHintBanner} />}
     </View>
@@ -261,10 +416,13 @@ const QuestionItem = memo(function ({
   color,
   isExpanded,
   onToggle,
+  onSaveToCollection,
 }) {
   const { toggleSaveQuestion } = useSavedQuestions();
   const { triggerHighlight } = useFavoriteTabAnimation();
   const isSaved = useIsQuestionSaved(questionId);
+  const { notes } = useNotes();
+  const hasNote = !!notes[questionId];
 
   let IconComponent;
   try {
@@ -278,7 +436,7 @@ const QuestionItem = memo(function ({
       onPress={onToggle} 
       activeOpacity={1}
       accessibilityRole="button"
-      accessibilityLabel={questionText}
+      accessibilityLabel={hasNote ? `${questionText}. Mit Notiz` : questionText}
       accessibilityHint={isExpanded ? "Tippe doppelt, um die Antwort zu schließen" : "Tippe doppelt, um die Antwort zu öffnen"}
       accessibilityState={{ expanded: isExpanded }}
     >
@@ -295,6 +453,11 @@ const QuestionItem = memo(function ({
             />
           )}
           <InterText style={styles.cardText}>{questionText}</InterText>
+          {hasNote && !isExpanded && (
+            <View style={styles.noteIndicator} accessible={false}>
+              <Icon name="document-text-outline" size={20} color="#56626a" />
+            </View>
+          )}
           <TouchableOpacity 
             onPress={() => {
               try {
@@ -312,9 +475,14 @@ const QuestionItem = memo(function ({
                 logUIRenderError(error, 'QuestionItem', 'toggleSave');
               }
             }}
+            onLongPress={() => onSaveToCollection?.(questionId, questionText)}
             accessibilityRole="button"
             accessibilityLabel={isSaved ? "Frage entfernen" : "Frage speichern"}
-            accessibilityHint="Tippe doppelt, um diese Frage zu speichern oder zu entfernen"
+            accessibilityHint="Tippe doppelt, um diese Frage zu speichern oder zu entfernen. Lange drücken: In Sammlung speichern"
+            accessibilityActions={[{ name: 'longpress', label: 'In Sammlung speichern' }]}
+            onAccessibilityAction={({ nativeEvent }) => {
+              if (nativeEvent.actionName === 'longpress') onSaveToCollection?.(questionId, questionText);
+            }}
           >
             <Icon
               name={isSaved ? 'heart' : 'heart-outline'}
@@ -335,6 +503,7 @@ const QuestionItem = memo(function ({
               questionId={questionId}
               questionText={questionText}
             />
+            <QuestionNoteEditor questionId={questionId} />
           </View>
         </Collapsible>
       </View>
@@ -368,6 +537,24 @@ const styles = StyleSheet.create({
     marginLeft: 5,
     marginRight: 5,
   },
+  noteIndicator: {
+    marginRight: 6,
+  },
+  emptyFilterText: {
+    fontSize: 15,
+    color: '#777',
+    textAlign: 'center',
+    marginHorizontal: 20,
+    marginTop: 20,
+  },
+  sectionTitle: {
+    marginHorizontal: 10,
+    marginTop: 10,
+    marginBottom: 2,
+    fontSize: 15,
+    fontFamily: 'Inter-Bold',
+    color: '#56626a',
+  },
   footerLoader: {
     paddingVertical: 10,
     alignItems: 'center',
@@ -0,0 +1,218 @@
+/**
+ * QuestionNoteEditor.jsx
+ *
+ * Personal note under an expanded answer ("Meine Notiz").
+ *
+ * States:
+ * - No note: "Notiz hinzufügen" button
+ * - Note: text + last edit date, tap to edit
+ * - Editing: multiline input with character counter, Speichern / Abbrechen / Löschen
+ *
+ * Notes stay on the device (NotesContext).
+ */
+
+import React, { useState } from 'react';
+import { View, TextInput, TouchableOpacity, StyleSheet, Alert } from 'react-native';
+import InterText from './InterText';
+import Icon from './Icon';
+import { useNotes } from '../contexts/NotesContext';
+import { MAX_NOTE_LENGTH } from '../constants/notes';
+import { logUIRenderError } from '../utils/logError';
+
+export const formatNoteDate = (timestamp) =>
+  timestamp ? new Date(timestamp).toLocaleDateString('de-DE', { day: '2-digit', month: '2-digit', year: 'numeric' }) : '';
+
+const QuestionNoteEditor = ({ questionId }) => {
+  const { notes, saveNote, deleteNote } = useNotes();
+  const note = notes[questionId];
+  const [isEditing, setIsEditing] = useState(false);
+  const [draft, setDraft] = useState('');
+
+  const startEditing = () => {
+    setDraft(note?.text || '');
+    setIsEditing(true);
+  };
+
+  const handleSave = async () => {
+    try {
+      const isStored = await saveNote(questionId, draft);
+      if (isStored) setIsEditing(false);
+    } catch (error) {
+      logUIRenderError(error, 'QuestionNoteEditor', 'handleSave');
+    }
+  };
+
+  const handleDelete = () => {
+    Alert.alert(
+      'Notiz löschen',
+      'Möchtest du deine Notiz zu dieser Frage löschen?',
+      [
+        { text: 'Abbrechen', style: 'cancel' },
+        {
+          text: 'Löschen',
+          style: 'destructive',
+          onPress: async () => {
+            const isStored = await deleteNote(questionId);
+            if (isStored) setIsEditing(false);
+          },
+        },
+      ]
+    );
+  };
+
+  if (isEditing) {
+    return (
+      <View style={styles.container}>
+        <InterText style={styles.label}>Meine Notiz</InterText>
+        <TextInput
+          style={styles.input}
+          value={draft}
+          onChangeText={setDraft}
+          placeholder="Wie hat dieser Impuls bei euch funktioniert?"
+          placeholderTextColor="#999"
+          maxLength={MAX_NOTE_LENGTH}
+          multiline
+          autoFocus
+          textAlignVertical="top"
+          accessibilityLabel="Meine Notiz"
+          accessibilityHint="Deine Notiz wird nur auf diesem Gerät gespeichert"
+        />
+        <InterText style={styles.counter} accessible={false}>
+          {draft.length}/{MAX_NOTE_LENGTH}
+        </InterText>
+        <View style={styles.buttonRow}>
+          {note && (
+            <TouchableOpacity onPress={handleDelete} style={styles.deleteButton} accessibilityRole="button" accessibilityLabel="Notiz löschen">
+              <Icon name="trash-outline" size={20} color="#c0897f" />
+            </TouchableOpacity>
+          )}
+          <TouchableOpacity onPress={() => setIsEditing(false)} style={styles.button} accessibilityRole="button">
+            <InterText style={styles.cancelText}>Abbrechen</InterText>
+          </TouchableOpacity>
+          <TouchableOpacity onPress={handleSave} style={[styles.button, styles.saveButton]} accessibilityRole="button">
+            <InterText style={styles.saveText}>Speichern</InterText>
+          </TouchableOpacity>
+        </View>
+      </View>
+    );
+  }
+
+  if (!note) {
+    return (
+      <TouchableOpacity
+        onPress={startEditing}
+        style={styles.addButton}
+        accessibilityRole="button"
+        accessibilityLabel="Notiz hinzufügen"
+        accessibilityHint="Halte fest, wie dieser Impuls bei euch funktioniert hat"
+      >
+        <Icon name="create-outline" size={18} color="#56626a" />
+        <InterText style={styles.addText}>Notiz hinzufügen</InterText>
+      </TouchableOpacity>
+    );
+  }
+
+  return (
+    <TouchableOpacity
+      onPress={startEditing}
+      style={styles.container}
+      accessibilityRole="button"
+      accessibilityLabel={`Meine Notiz: ${note.text}`}
+      accessibilityHint="Tippe doppelt, um die Notiz zu bearbeiten"
+    >
+      <View style={styles.noteHeader}>
+        <InterText style={styles.label}>Meine Notiz</InterText>
+        <InterText style={styles.dateText}>{formatNoteDate(note.updatedAt)}</InterText>
+      </View>
+      <InterText style={styles.noteText}>{note.text}</InterText>
+    </TouchableOpacity>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginTop: 10,
+    marginHorizontal: 10,
+    padding: 12,
+    borderRadius: 10,
+    backgroundColor: 'rgba(255, 255, 255, 0.7)',
+  },
+  noteHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  label: {
+    fontSize: 14,
+    fontFamily: 'Inter-Bold',
+    color: '#56626a',
+  },
+  dateText: {
+    fontSize: 12,
+    color: '#999',
+  },
+  noteText: {
+    marginTop: 6,
+    fontSize: 15,
+    color: '#333',
+  },
+  input: {
+    minHeight: 90,
+    marginTop: 8,
+    padding: 10,
+    borderRadius: 8,
+    backgroundColor: '#fff',
+    fontSize: 15,
+    fontFamily: 'Inter-Regular',
+    color: '#333',
+  },
+  counter: {
+    alignSelf: 'flex-end',
+    marginTop: 4,
+    fontSize: 12,
+    color: '#999',
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  deleteButton: {
+    marginRight: 'auto',
+    padding: 6,
+  },
+  button: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 10,
+  },
+  saveButton: {
+    marginLeft: 8,
+    backgroundColor: '#c0897f',
+  },
+  cancelText: {
+    fontSize: 15,
+    color: '#56626a',
+  },
+  saveText: {
+    fontSize: 15,
+    fontFamily: 'Inter-Bold',
+    color: '#fff',
+  },
+  addButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    marginTop: 10,
+    marginHorizontal: 10,
+    paddingVertical: 6,
+  },
+  addText: {
+    marginLeft: 6,
+    fontSize: 14,
+    color: '#56626a',
+  },
+});
+
+export default QuestionNoteEditor;
@@ -0,0 +1,113 @@
+/**
+ * RecentSearches.jsx
+ *
+ * "Zuletzt gesucht" list above the default questions on SearchScreen.
+ *
+ * Key features:
+ * - One tap re-runs a previous search
+ * - Delete single entries (close icon) or clear all (with confirmation)
+ * - Hidden when the history is empty
+ */
+
+import React from 'react';
+import { View, TouchableOpacity, StyleSheet, Alert } from 'react-native';
+import InterText from './InterText';
+import Icon from './Icon';
+import { useRecentSearches } from '../contexts/RecentSearchesContext';
+
+const RecentSearches = ({ onSelect }) => {
+  const { recentSearches, removeRecentSearch, clearRecentSearches } = useRecentSearches();
+
+  if (!recentSearches || recentSearches.length === 0) return null;
+
+  const handleClearAll = () => {
+    Alert.alert(
+      'Suchverlauf löschen',
+      'Möchtest du alle letzten Suchen löschen?',
+      [
+        { text: 'Abbrechen', style: 'cancel' },
+        { text: 'Löschen', style: 'destructive', onPress: clearRecentSearches },
+      ]
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <InterText style={styles.headerText} accessibilityRole="header">Zuletzt gesucht</InterText>
+        <TouchableOpacity
+          onPress={handleClearAll}
+          accessibilityRole="button"
+          accessibilityLabel="Suchverlauf löschen"
+          accessibilityHint="Tippe doppelt, um alle letzten Suchen zu löschen"
+        >
+          <InterText style={styles.clearAllText}>Alle löschen</InterText>
+        </TouchableOpacity>
+      </View>
+
+      {recentSearches.map(query => (
+        <View key={query} style={styles.row}>
+          <TouchableOpacity
+            style={styles.queryButton}
+            onPress={() => onSelect(query)}
+            accessibilityRole="button"
+            accessibilityLabel={`Letzte Suche: ${query}`}
+            accessibilityHint="Tippe doppelt, um erneut danach zu suchen"
+          >
+            <InterText style={styles.queryText} numberOfLines={1}>{query}</InterText>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.removeButton}
+            onPress={() => removeRecentSearch(query)}
+            hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+            accessibilityRole="button"
+            accessibilityLabel={`${query} aus dem Verlauf entfernen`}
+          >
+            <Icon name="close" size={18} color="#999" />
+          </TouchableOpacity>
+        </View>
+      ))}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginHorizontal: 10,
+    marginBottom: 10,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  headerText: {
+    fontSize: 14,
+    color: '#56626a',
+  },
+  clearAllText: {
+    fontSize: 13,
+    color: '#c0897f',
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderBottomWidth: StyleSheet.hairlineWidth,
+    borderBottomColor: '#e5e5e5',
+  },
+  queryButton: {
+    flex: 1,
+    paddingVertical: 10,
+  },
+  queryText: {
+    fontSize: 15,
+    color: '#333',
+  },
+  removeButton: {
+    paddingLeft: 12,
+    paddingVertical: 10,
+  },
+});
+
+export default RecentSearches;
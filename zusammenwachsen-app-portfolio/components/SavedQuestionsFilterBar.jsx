@@ -0,0 +1,141 @@
+/**
+ * SavedQuestionsFilterBar.jsx
+ *
+ * Filter bar above the favorites list (QuestionCards with savedOnly).
+ *
+ * Key features:
+ * - Text search (same normalization as the search, see savedQuestionsFilter.js)
+ * - Category chips with counts (reuses SearchCategoryFacets)
+ * - Sort by date saved (newest/oldest) or title
+ */
+
+import React from 'react';
+import { View, TextInput, TouchableOpacity, StyleSheet } from 'react-native';
+import InterText from './InterText';
+import Icon from './Icon';
+import SearchCategoryFacets from './SearchCategoryFacets';
+import { SAVED_SORT } from '../utils/savedQuestionsFilter';
+
+const SORT_OPTIONS = [
+  { value: SAVED_SORT.NEWEST, label: 'Neueste' },
+  { value: SAVED_SORT.OLDEST, label: 'Älteste' },
+  { value: SAVED_SORT.TITLE, label: 'A–Z' },
+];
+
+const SavedQuestionsFilterBar = ({
+  query,
+  onChangeQuery,
+  facets,
+  total,
+  selectedCategory,
+  onSelectCategory,
+  sort,
+  onChangeSort,
+}) => (
+  <View style={styles.container}>
+    <View style={styles.inputRow}>
+      <Icon name="search" size={18} color="#999" />
+      <TextInput
+        style={styles.input}
+        value={query}
+        onChangeText={onChangeQuery}
+        placeholder="Gespeicherte Fragen durchsuchen"
+        placeholderTextColor="#999"
+        returnKeyType="search"
+        autoCorrect={false}
+        accessibilityLabel="Gespeicherte Fragen durchsuchen"
+      />
+      {query ? (
+        <TouchableOpacity
+          onPress={() => onChangeQuery('')}
+          hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+          accessibilityRole="button"
+          accessibilityLabel="Suchtext löschen"
+        >
+          <Icon name="close" size={18} color="#999" />
+        </TouchableOpacity>
+      ) : null}
+    </View>
+
+    <SearchCategoryFacets
+      facets={facets}
+      total={total}
+      selectedCategory={selectedCategory}
+      onSelectCategory={onSelectCategory}
+    />
+
+    <View style={styles.sortRow} accessibilityRole="radiogroup" accessibilityLabel="Sortierung">
+      <InterText style={styles.sortLabel}>Sortieren:</InterText>
+      {SORT_OPTIONS.map(option => {
+        const isSelected = sort === option.value;
+        return (
+          <TouchableOpacity
+            key={option.value}
+            onPress={() => onChangeSort(option.value)}
+            style={[styles.sortButton, isSelected && styles.sortButtonSelected]}
+            accessibilityRole="radio"
+            accessibilityLabel={`Sortieren nach ${option.label}`}
+            accessibilityState={{ checked: isSelected }}
+          >
+            <InterText style={[styles.sortText, isSelected && styles.sortTextSelected]}>
+              {option.label}
+            </InterText>
+          </TouchableOpacity>
+        );
+      })}
+    </View>
+  </View>
+);
+
+const styles = StyleSheet.create({
+  container: {
+    paddingTop: 10,
+  },
+  inputRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginHorizontal: 10,
+    marginBottom: 8,
+    paddingHorizontal: 10,
+    borderRadius: 10,
+    backgroundColor: '#f3f3f3',
+  },
+  input: {
+    flex: 1,
+    paddingVertical: 8,
+    paddingHorizontal: 8,
+    fontSize: 15,
+    fontFamily: 'Inter-Regular',
+    color: '#333',
+  },
+  sortRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginHorizontal: 10,
+    marginBottom: 4,
+  },
+  sortLabel: {
+    fontSize: 13,
+    color: '#56626a',
+    marginRight: 6,
+  },
+  sortButton: {
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    marginRight: 4,
+    borderRadius: 12,
+  },
+  sortButtonSelected: {
+    backgroundColor: '#c0897f',
+  },
+  sortText: {
+    fontSize: 13,
+    color: '#56626a',
+  },
+  sortTextSelected: {
+    fontFamily: 'Inter-Bold',
+    color: '#fff',
+  },
+});
+
+export default SavedQuestionsFilterBar;
@@ -0,0 +1,95 @@
+/**
+ * SearchCategoryFacets.jsx
+ *
+ * Horizontal facet bar above search results: "Alle" + one chip per category with hits.
+ * Tapping a chip narrows the results to that category, tapping it again (or "Alle") resets.
+ *
+ * Counts come from searchQuestionsWithFacets() and always refer to the
+ * unnarrowed result list.
+ */
+
+import React from 'react';
+import { ScrollView, TouchableOpacity, StyleSheet } from 'react-native';
+import InterText from './InterText';
+import { categoryColors } from '../assets/colors';
+import { CATEGORY_NAMES } from '../constants/categories';
+
+const getCategoryColor = (category) => {
+  const index = CATEGORY_NAMES.indexOf(category);
+  return index === -1 ? '#f3f3f3' : categoryColors[index % categoryColors.length];
+};
+
+const FacetChip = ({ label, count, isSelected, color, onPress }) => (
+  <TouchableOpacity
+    onPress={onPress}
+    activeOpacity={0.7}
+    style={[
+      styles.chip,
+      { backgroundColor: isSelected ? color : '#fff', borderColor: color },
+    ]}
+    accessibilityRole="button"
+    accessibilityLabel={`${label}, ${count} Treffer`}
+    accessibilityHint={isSelected ? 'Tippe doppelt, um den Filter aufzuheben' : 'Tippe doppelt, um nur diese Ergebnisse zu zeigen'}
+    accessibilityState={{ selected: isSelected }}
+  >
+    <InterText style={[styles.chipText, isSelected && styles.chipTextSelected]}>
+      {label} ({count})
+    </InterText>
+  </TouchableOpacity>
+);
+
+const SearchCategoryFacets = ({ facets, total, selectedCategory, onSelectCategory }) => {
+  // A single category adds nothing to filter by
+  if (!facets || facets.length < 2) return null;
+
+  return (
+    <ScrollView
+      horizontal
+      showsHorizontalScrollIndicator={false}
+      keyboardShouldPersistTaps="handled"
+      contentContainerStyle={styles.container}
+      accessibilityLabel="Ergebnisse nach Kategorie filtern"
+    >
+      <FacetChip
+        label="Alle"
+        count={total}
+        isSelected={!selectedCategory}
+        color="#c0897f"
+        onPress={() => onSelectCategory(null)}
+      />
+      {facets.map(({ category, count }) => (
+        <FacetChip
+          key={category}
+          label={category}
+          count={count}
+          isSelected={selectedCategory === category}
+          color={getCategoryColor(category)}
+          onPress={() => onSelectCategory(selectedCategory === category ? null : category)}
+        />
+      ))}
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    paddingHorizontal: 10,
+    paddingBottom: 8,
+  },
+  chip: {
+    borderWidth: 1,
+    borderRadius: 16,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginRight: 6,
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#56626a',
+  },
+  chipTextSelected: {
+    fontFamily: 'Inter-Bold',
+  },
+});
+
+export default SearchCategoryFacets;
@@ -8,6 +8,22 @@
  * - FlatList with windowSize={5} (keeps only 5 screens in memory)
  * - InteractionManager for smooth scroll after card expansion
  * 
+ * Match highlighting:
+ * Results carrying `matches`/`highlightTerms` (searchQuestions with includeMatches)
+ * get highlighted titles; expanded answers highlight and scroll to the first match.
+ * Hits found only in the answer body are labeled as such.
+ * Each card shows the category it belongs to (when known).
+ * 
+ * Long press on a heart: "In Sammlung speichern" (CollectionPicker).
+ * Personal notes: editor under the expanded answer, note icon on collapsed cards.
+ * 
+ * Personalization:
+ * `onResultOpened(questionId)` is called whenever a card is expanded.
+ * 
+ * Paging:
+ * With `hasMore`, the list footer offers "Weitere Ergebnisse laden";
+ * reaching the end of the list loads the next page as well.
+ * 
  * Error handling:
  * Critical errors (search flow, card rendering) are logged to Sentry.
  * Non-critical errors (analytics, scroll position) fail silently.
@@ -21,21 +37,31 @@ import fallbackImage from '../assets/images/fallback.png';
 import { imageMap } from '../assets/mappings/imageMap';
 import Icon from '../components/Icon';
 import AnswerContent from './AnswerContent';
+import HighlightedText from './HighlightedText';
 import { useSavedQuestions } from '../contexts/SavedQuestionsContext';
 import { usePopup } from '../contexts/PopupContext';
 import Popup from './PopUp';
 import DonationHintBanner from './DonationHintBanner';
+import CollectionPicker from './CollectionPicker';
+import QuestionNoteEditor from './QuestionNoteEditor';
+import { useNotes } from '../contexts/NotesContext';
 import { useFavoriteTabAnimation } from '../contexts/FavoriteTabAnimationContext';
 import { logUIRenderError } from '../utils/logError';
 import { trackQuestionSaved, trackCardOpened } from '../utils/analytics';
+import { recordQuestionOpened } from '../utils/questionUsage';
 
-const SearchScreenResults = ({ results, selectedResult }) => {
+const SearchScreenResults = ({ results, selectedResult, hasMore = false, onLoadMore, onResultOpened }) => {
   const [expandedCardId, setExpandedCardId] = useState(null);
   const [initialCardOpened, setInitialCardOpened] = useState(false);
   const flatListRef = useRef(null);
+  const listContainerRef = useRef(null);
+  const scrollOffsetRef = useRef(0);
+  const highlightScrolledForRef = useRef(null);
+  const [collectionPickerQuestion, setCollectionPickerQuestion] = useState(null);
 
   // Context-Hooks
   const { savedQuestions, toggleSaveQuestion } = useSavedQuestions();
+  const { notes } = useNotes();
   const { triggerHighlight } = useFavoriteTabAnimation();
   const {
     openCardCount,
@@ -96,6 +122,7 @@ const SearchScreenResults = ({ results, selectedResult }) => {
       Keyboard.dismiss();
       const isExpanded = expandedCardId === questionId;
       setExpandedCardId(isExpanded ? null : questionId);
+      highlightScrolledForRef.current = null;
 
       if (!isExpanded) {
         try {
@@ -103,6 +130,9 @@ const SearchScreenResults = ({ results, selectedResult }) => {
         } catch (analyticsError) {
           // Analytics failure doesn't impact UX
         }
+        // Local personalization (see personalRanking.js, questionUsage.js) - never blocks the UI
+        onResultOpened?.(questionId);
+        recordQuestionOpened(questionId);
       }
       
       // Wait for card expansion animation before scrolling (prevents jank)
@@ -122,6 +152,31 @@ const SearchScreenResults = ({ results, selectedResult }) => {
     }
   };
 
+  // Scroll the first highlighted answer passage into view (once per expansion).
+  // Measured against the visible list area - passages already on screen stay put.
+  const handleHighlightLayout = useCallback((questionId, highlightView) => {
+    if (highlightScrolledForRef.current === questionId) return;
+    highlightScrolledForRef.current = questionId;
+
+    InteractionManager.runAfterInteractions(() => {
+      try {
+        listContainerRef.current?.measureInWindow((listX, listY, listWidth, listHeight) => {
+          highlightView.measureInWindow((x, highlightY, width, highlightHeight) => {
+            const top = highlightY - listY;
+            if (top >= 0 && top + highlightHeight <= listHeight) return;
+
+            flatListRef.current?.scrollToOffset({
+              offset: Math.max(0, scrollOffsetRef.current + top),
+              animated: true,
+            });
+          });
+        });
+      } catch (scrollError) {
+        // Measuring fails if the card was closed in the meantime - acceptable
+      }
+    });
+  }, []);
+
   // Show donation popup
   useEffect(() => {
     try {
@@ -138,13 +193,17 @@ const SearchScreenResults = ({ results, selectedResult }) => {
     ({ item, index }) => {
       try {
         const questionId = item.QuestionIDIndex;
+        const isExpanded = expandedCardId === questionId;
         return (
           <SearchResultItem
             item={item}
-            isExpanded={expandedCardId === questionId}
+            isExpanded={isExpanded}
             onToggle={() => handleCardPress(questionId, index)}
-            isSaved={savedQuestions[questionId]}
+            isSaved={!!savedQuestions[questionId]}
+            hasNote={!!notes[questionId]}
             onToggleSave={() => handleHeartPress(questionId)}
+            onSaveToCollection={() => setCollectionPickerQuestion({ questionId, questionText: item.QuestionIndex })}
+            onHighlightLayout={isExpanded ? handleHighlightLayout : undefined}
           />
         );
       } catch (error) {
@@ -155,11 +214,11 @@ const SearchScreenResults = ({ results, selectedResult }) => {
         );
       }
     },
-    [expandedCardId, savedQuestions, handleCardPress, handleHeartPress]
+    [expandedCardId, savedQuestions, notes, handleCardPress, handleHeartPress, handleHighlightLayout]
   );
 
   return (
-    <View style={{ flex: 1 }}>
+    <View style={{ flex: 1 }} ref={listContainerRef} collapsable={false}>
       <FlatList
         keyboardDismissMode="on-drag"
         keyboardShouldPersistTaps="handled"
@@ -170,9 +229,34 @@ const SearchScreenResults = ({ results, selectedResult }) => {
         initialNumToRender={10}
         windowSize={5}
         renderItem={renderItem}
+        onScroll={(event) => {
+          scrollOffsetRef.current = event.nativeEvent.contentOffset.y;
+        }}
+        scrollEventThrottle={16}
         onScrollToIndexFailed={(error) => {
           // Expected with dynamic content - no action needed
         }}
+        onEndReached={hasMore ? onLoadMore : undefined}
+        onEndReachedThreshold={0.5}
+        ListFooterComponent={
+          hasMore && onLoadMore ? (
+            <TouchableOpacity
+              style={styles.loadMoreButton}
+              onPress={onLoadMore}
+              accessibilityRole="button"
+              accessibilityLabel="Weitere Ergebnisse laden"
+              accessibilityHint="Tippe doppelt, um weitere Suchergebnisse anzuzeigen"
+            >
+              <InterText style={styles.loadMoreText}>Weitere Ergebnisse laden</InterText>
+            </TouchableOpacity>
+          ) : null
+        }
+      />
+      <CollectionPicker
+        visible={!!collectionPickerQuestion}
+        questionId={collectionPickerQuestion?.questionId}
+        questionText={collectionPickerQuestion?.questionText}
+        onClose={() => setCollectionPickerQuestion(null)}
       />
       {showHintBanner && <DonationHintBanner onClose={closeHintBanner} />}
       <Popup visible={isPopupVisible} onClose={closePopup} />
@@ -186,8 +270,17 @@ const SearchResultItem = React.memo(function ({
   isExpanded,
   onToggle,
   isSaved,
+  hasNote,
   onToggleSave,
+  onSaveToCollection,
+  onHighlightLayout,
 }) {
+  // Stable per card, so AnswerContent doesn't rebuild its markdown rules on every list render
+  const handleHighlightLayout = useCallback(
+    (highlightView) => onHighlightLayout?.(item.QuestionIDIndex, highlightView),
+    [onHighlightLayout, item.QuestionIDIndex]
+  );
+
   let IconComponent;
   try {
     IconComponent = imageMap[item.imagePosition]?.();
@@ -200,7 +293,12 @@ const SearchResultItem = React.memo(function ({
       onPress={onToggle}
       activeOpacity={1}
       accessibilityRole="button"
-      accessibilityLabel={`Thema: ${item.QuestionIndex}`}
+      accessibilityLabel={[
+        `Thema: ${item.QuestionIndex}`,
+        item.category && `Kategorie: ${item.category}`,
+        item.matchSource === 'body' && 'Treffer im Antworttext',
+        hasNote && 'Mit Notiz',
+      ].filter(Boolean).join('. ')}
       accessibilityHint={
         isExpanded
           ? 'Tippe doppelt, um die Antwort zu schließen'
@@ -220,14 +318,36 @@ const SearchResultItem = React.memo(function ({
               accessibilityLabel="Symbolbild"
             />
           )}
-          <InterText style={styles.cardText} accessible={false}>
-            {item.QuestionIndex}
-          </InterText>
+          <View style={styles.cardTitleContainer}>
+            <HighlightedText
+              style={styles.cardText}
+              accessible={false}
+              text={item.QuestionIndex}
+              ranges={item.matches?.QuestionIndex}
+            />
+            {(item.category || item.matchSource === 'body') && (
+              <InterText style={styles.matchSourceText} accessible={false}>
+                {[item.category, item.matchSource === 'body' && 'Treffer im Antworttext']
+                  .filter(Boolean)
+                  .join(' · ')}
+              </InterText>
+            )}
+          </View>
+          {hasNote && !isExpanded && (
+            <View style={styles.noteIndicator} accessible={false}>
+              <Icon name="document-text-outline" size={20} color="#8a9399" />
+            </View>
+          )}
           <TouchableOpacity
             activeOpacity={1}
             onPress={onToggleSave}
+            onLongPress={onSaveToCollection}
             accessibilityLabel={isSaved ? 'Frage entfernen' : 'Frage speichern'}
-            accessibilityHint="Tippe doppelt, um diese Frage zu speichern oder zu entfernen"
+            accessibilityHint="Tippe doppelt, um diese Frage zu speichern oder zu entfernen. Lange drücken: In Sammlung speichern"
+            accessibilityActions={[{ name: 'longpress', label: 'In Sammlung speichern' }]}
+            onAccessibilityAction={({ nativeEvent }) => {
+              if (nativeEvent.actionName === 'longpress') onSaveToCollection?.();
+            }}
             accessibilityRole="button"
             accessibilityState={{ selected: isSaved }}
           >
@@ -249,7 +369,10 @@ const SearchResultItem = React.memo(function ({
               answer={item.AnswerIndex}
               questionId={item.QuestionIDIndex}
               questionText={item.QuestionIndex}
+              highlightTerms={item.highlightTerms}
+              onHighlightLayout={onHighlightLayout ? handleHighlightLayout : undefined}
             />
+            <QuestionNoteEditor questionId={item.QuestionIDIndex} />
           </View>
         </Collapsible>
       </View>
@@ -271,18 +394,42 @@ const styles = StyleSheet.create({
     justifyContent: 'space-between',
     alignItems: 'center',
   },
-  cardText: {
+  cardTitleContainer: {
     flex: 1,
+  },
+  cardText: {
     fontSize: 14,
     color: '#56626a',
     marginLeft: 5,
     marginRight: 5,
   },
+  matchSourceText: {
+    fontSize: 12,
+    color: '#8a9399',
+    marginTop: 2,
+    marginLeft: 5,
+  },
   image: {
     width: 60,
     height: 60,
     marginRight: 2,
   },
+  noteIndicator: {
+    marginRight: 6,
+  },
+  loadMoreButton: {
+    alignSelf: 'center',
+    marginVertical: 10,
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#c0897f',
+  },
+  loadMoreText: {
+    fontSize: 14,
+    color: '#c0897f',
+  },
   errorCard: {
     marginVertical: 5,
     marginHorizontal: 10,
@@ -0,0 +1,79 @@
+/**
+ * SearchSuggestions.jsx
+ *
+ * Autocomplete list under the SearchBar.
+ *
+ * Key features:
+ * - Suggestions come from getAutocompleteSuggestions() (offline prefix index)
+ * - Hardware keyboards: every item is a native focus target - arrow keys / Tab move
+ *   focus from the SearchBar into the list, Enter selects (platform focus handling,
+ *   no key events involved - RN's onKeyPress doesn't deliver arrow keys on Android)
+ * - Screen readers announce when suggestions appear
+ * - Tapping a suggestion runs the search immediately
+ */
+
+import React, { useEffect, useRef } from 'react';
+import { View, TouchableOpacity, StyleSheet, AccessibilityInfo } from 'react-native';
+import InterText from './InterText';
+
+const SearchSuggestions = ({ suggestions, onSelect }) => {
+  const previousCountRef = useRef(0);
+
+  // Announce only when the list appears, not on every keystroke
+  useEffect(() => {
+    const count = suggestions?.length || 0;
+    if (count > 0 && previousCountRef.current === 0) {
+      AccessibilityInfo.announceForAccessibility(
+        count === 1 ? '1 Vorschlag verfügbar' : `${count} Vorschläge verfügbar`
+      );
+    }
+    previousCountRef.current = count;
+  }, [suggestions]);
+
+  if (!suggestions || suggestions.length === 0) return null;
+
+  return (
+    <View style={styles.container} accessibilityRole="menu" accessibilityLabel="Suchvorschläge">
+      {suggestions.map((suggestion, index) => (
+        <TouchableOpacity
+          key={suggestion.text}
+          onPress={() => onSelect(suggestion)}
+          activeOpacity={0.7}
+          style={styles.item}
+          focusable
+          accessibilityRole="menuitem"
+          accessibilityLabel={`Vorschlag ${index + 1} von ${suggestions.length}: ${suggestion.text}`}
+          accessibilityHint="Tippe doppelt, um danach zu suchen"
+        >
+          <InterText style={styles.itemText} numberOfLines={1}>
+            {suggestion.text}
+          </InterText>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginHorizontal: 10,
+    marginBottom: 5,
+    borderWidth: 1,
+    borderColor: '#ccc',
+    borderRadius: 8,
+    backgroundColor: '#fff',
+    overflow: 'hidden',
+  },
+  item: {
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+    borderBottomColor: '#e5e5e5',
+  },
+  itemText: {
+    fontSize: 15,
+    color: '#56626a',
+  },
+});
+
+export default SearchSuggestions;
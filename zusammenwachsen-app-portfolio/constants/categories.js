@@ -0,0 +1,95 @@
+/**
+ * categories.js
+ *
+ * The 12 main categories shared by the category grid and search.
+ *
+ * Names must match the keys in utils/categoryLoaders.js.
+ * Kept free of assets (logos live in CategoryGrid) so search code stays importable in Node.
+ * Search aliases are folded (ä → ae, ß → ss) like all search text.
+ */
+
+import { tokenize } from '../utils/germanLanguage';
+
+const categories = [
+  {
+    name: 'Elterliche Selbstfürsorge',
+    searchAliases: ['selbstfuersorge', 'selfcare'],
+  },
+  {
+    name: 'Alltag & Routinen',
+    searchAliases: ['routine', 'tagesablauf'],
+  },
+  {
+    name: 'Kommunikation & Konfliktlösung',
+    searchAliases: ['konflikt'],
+  },
+  {
+    name: 'Ernährung & Mahlzeiten',
+    searchAliases: ['essen', 'mahlzeit'],
+  },
+  {
+    name: 'Spiele & Kreative Aktivitäten',
+    searchAliases: ['spielen', 'kreativ', 'basteln'],
+  },
+  {
+    name: 'Gesundheit & Körperpflege',
+    searchAliases: ['hygiene'],
+  },
+  {
+    name: 'Kita & Schule',
+    searchAliases: ['kindergarten', 'krippe'],
+  },
+  {
+    name: 'Geschwister & Familie',
+    searchAliases: [],
+  },
+  {
+    name: 'Soziale Kompetenzen',
+    searchAliases: ['sozial'],
+  },
+  {
+    name: 'Diversität & Inklusion',
+    searchAliases: ['vielfalt'],
+  },
+  {
+    name: 'Sicherheit & Prävention',
+    searchAliases: [],
+  },
+  {
+    name: 'Besondere Lebenssituation',
+    searchAliases: ['lebenssituationen'],
+  },
+];
+
+export const CATEGORY_NAMES = categories.map(category => category.name);
+
+const MIN_ALIAS_PREFIX_LENGTH = 3;
+
+// Every word of the name plus the explicit aliases ("kita", "schule", "kindergarten", ...)
+const categoryAliasWords = categories.map(category => ({
+  name: category.name,
+  // "&" is stripped by the search input validation, so compare word sequences
+  fullName: tokenize(category.name).join(' '),
+  words: [...tokenize(category.name), ...category.searchAliases],
+}));
+
+/**
+ * Resolves user input (e.g. from "kategorie:kita") to a category name.
+ * Accepts the full name, any name word/alias, or an unambiguous prefix of one.
+ * Returns null if nothing or more than one category matches.
+ */
+export const resolveCategoryName = (value) => {
+  const folded = tokenize(value).join(' ');
+  if (!folded) return null;
+
+  const exact = categoryAliasWords.filter(category =>
+    category.fullName === folded || category.words.includes(folded)
+  );
+  if (exact.length === 1) return exact[0].name;
+  if (exact.length > 1 || folded.length < MIN_ALIAS_PREFIX_LENGTH) return null;
+
+  const prefixed = categoryAliasWords.filter(category =>
+    category.words.some(word => word.startsWith(folded))
+  );
+  return prefixed.length === 1 ? prefixed[0].name : null;
+};
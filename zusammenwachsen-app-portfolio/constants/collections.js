@@ -0,0 +1,15 @@
+/**
+ * collections.js
+ *
+ * Limits and IDs of the favorite collections.
+ *
+ * Shared by CollectionsContext and the favorites file import (utils/favoritesTransfer.js),
+ * which must not depend on the context module.
+ */
+
+export const DEFAULT_COLLECTION_ID = 'default';
+export const DEFAULT_COLLECTION_NAME = 'Meine Favoriten';
+export const MAX_COLLECTION_NAME_LENGTH = 40;
+export const MAX_COLLECTIONS = 50;
+
+export const createCollectionId = () => `c${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
@@ -0,0 +1,7 @@
+/**
+ * notes.js
+ *
+ * Limits of the personal notes per question (NotesContext, favorites file import).
+ */
+
+export const MAX_NOTE_LENGTH = 1000;
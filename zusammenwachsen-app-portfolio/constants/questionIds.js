@@ -0,0 +1,13 @@
+/**
+ * questionIds.js
+ *
+ * Format of question IDs ("q" + up to 10 letters/digits, e.g. "q101").
+ *
+ * Shared by everything that accepts IDs from outside the bundled data -
+ * analytics events, on-device histories, remote lists and share codes.
+ */
+
+export const QUESTION_ID_PATTERN = /^q[0-9a-zA-Z]{1,10}$/;
+
+export const isValidQuestionId = (value) =>
+  typeof value === 'string' && QUESTION_ID_PATTERN.test(value);
@@ -0,0 +1,24 @@
+/**
+ * seasonalTopics.js
+ *
+ * Seasonal picks for the "Beliebt" default questions.
+ *
+ * Terms are searched offline (see FuseSearch.findQuestionIdsForTopics) - only
+ * close matches are shown, so a term without a matching impulse is simply skipped.
+ * Months are 1-12.
+ */
+
+export const SEASONAL_TOPICS = [
+  { months: [11, 12], terms: ['weihnachten', 'geschenke'] },
+  { months: [2], terms: ['fasching'] },
+  { months: [3, 4], terms: ['ostern'] },
+  { months: [6, 7, 8], terms: ['urlaub', 'sonnenschutz'] },
+  { months: [8, 9], terms: ['einschulung', 'eingewöhnung'] },
+  { months: [10, 11, 1, 2], terms: ['erkältung'] },
+];
+
+// Terms for the given month (1-12), in list order
+export const getSeasonalTerms = (month) =>
+  SEASONAL_TOPICS
+    .filter(topic => topic.months.includes(month))
+    .flatMap(topic => topic.terms);
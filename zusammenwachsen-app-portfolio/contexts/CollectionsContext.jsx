@@ -0,0 +1,287 @@
+/**
+ * CollectionsContext.jsx
+ *
+ * Named favorite collections ("Schlafenszeit", "Für Oma", "Urlaub") on top of SavedQuestionsContext.
+ *
+ * Key features:
+ * - A question can belong to several collections
+ * - Create, rename, reorder and delete collections (array order = display order)
+ * - Quick save via the heart puts a question into the default collection "Meine Favoriten"
+ * - Unsaving a question removes it from every collection
+ * - Same optimistic persistence and quota handling as SavedQuestionsContext
+ *
+ * Sync with SavedQuestionsContext (savedAt timestamps):
+ * Questions saved after `syncedAt` that are in no collection yet go into the default
+ * collection. On first start `syncedAt` is 0, so all existing favorites migrate into
+ * the default collection - nothing is lost. A question the user later removes from
+ * every collection stays saved and is not re-added.
+ * Memberships of unsaved questions are only pruned after a reliable favorites load
+ * (OK/RECOVERED). After a failed, reset or missing load only questions unsaved in this
+ * session leave their collections - the rest may still come back (restore, import).
+ *
+ * Storage: { version: 1, collections: [{ id, name, questionIds, createdAt }], syncedAt }
+ *
+ * Import (favoritesTransfer.js): replaceCollections() must run before the saved questions
+ * are replaced - its syncedAt keeps imported favorites out of the default collection.
+ */
+
+import React, { createContext, useState, useContext, useEffect, useRef } from 'react';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { Alert } from 'react-native';
+import { useSavedQuestions, getSavedQuestionIds } from './SavedQuestionsContext';
+import { logAsyncStorageError } from '../utils/logError';
+import { isQuotaExceededError, getCriticalStorageLogOptions } from '../utils/storageHelpers';
+import { loadStoredJSON, STORAGE_LOAD_STATUS } from '../utils/storage';
+import {
+  DEFAULT_COLLECTION_ID,
+  DEFAULT_COLLECTION_NAME,
+  MAX_COLLECTION_NAME_LENGTH,
+  MAX_COLLECTIONS,
+  createCollectionId,
+} from '../constants/collections';
+
+const STORAGE_KEY = 'favoriteCollections';
+const STORAGE_VERSION = 1;
+
+const CollectionsContext = createContext();
+
+const createDefaultCollection = () => ({
+  id: DEFAULT_COLLECTION_ID,
+  name: DEFAULT_COLLECTION_NAME,
+  questionIds: [],
+  createdAt: Date.now(),
+});
+
+const INITIAL_STATE = { collections: [createDefaultCollection()], syncedAt: 0 };
+
+// Loads after which a question missing from the favorites really was unsaved
+const RELIABLE_LOAD_STATUSES = [STORAGE_LOAD_STATUS.OK, STORAGE_LOAD_STATUS.RECOVERED];
+
+const isValidState = (data) =>
+  typeof data === 'object' && data !== null && data.version === STORAGE_VERSION && Array.isArray(data.collections);
+
+// Drops broken entries and guarantees the default collection exists
+const sanitizeState = (data) => {
+  const collections = data.collections
+    .filter(collection => typeof collection?.id === 'string' && typeof collection?.name === 'string')
+    .map(collection => ({
+      id: collection.id,
+      name: collection.name.substring(0, MAX_COLLECTION_NAME_LENGTH),
+      questionIds: [...new Set((collection.questionIds || []).filter(id => typeof id === 'string'))],
+      createdAt: typeof collection.createdAt === 'number' ? collection.createdAt : 0,
+    }));
+
+  if (!collections.some(collection => collection.id === DEFAULT_COLLECTION_ID)) {
+    collections.unshift(createDefaultCollection());
+  }
+
+  return { collections, syncedAt: typeof data.syncedAt === 'number' ? data.syncedAt : 0 };
+};
+
+/**
+ * Returns an error message for an invalid name, otherwise null.
+ * excludeId: the collection being renamed (may keep its own name)
+ */
+export const validateCollectionName = (name, collections, excludeId = null) => {
+  const trimmedName = typeof name === 'string' ? name.trim() : '';
+  if (!trimmedName) return 'Bitte gib einen Namen ein.';
+  if (trimmedName.length > MAX_COLLECTION_NAME_LENGTH) {
+    return `Der Name darf höchstens ${MAX_COLLECTION_NAME_LENGTH} Zeichen lang sein.`;
+  }
+
+  const isTaken = collections.some(collection =>
+    collection.id !== excludeId && collection.name.toLocaleLowerCase('de') === trimmedName.toLocaleLowerCase('de')
+  );
+  return isTaken ? 'Eine Sammlung mit diesem Namen gibt es schon.' : null;
+};
+
+export const CollectionsProvider = ({ children }) => {
+  const { savedQuestions, isLoaded: isSavedLoaded, loadStatus: savedLoadStatus, toggleSaveQuestion } = useSavedQuestions();
+  const [state, setState] = useState(INITIAL_STATE);
+  const [isLoaded, setIsLoaded] = useState(false);
+  const stateRef = useRef(INITIAL_STATE); // Latest state for chained updates
+  const quotaAlertShownRef = useRef(false);
+  const seenSavedIdsRef = useRef(new Set()); // Saved at some point this session - unsaving prunes them
+
+  useEffect(() => {
+    loadCollections();
+  }, []);
+
+  const loadCollections = async () => {
+    try {
+      // Corrupted data: restored from the pre-migration backup where possible (storage.js)
+      const { data } = await loadStoredJSON(STORAGE_KEY, {
+        componentName: 'CollectionsContext',
+        isValid: isValidState,
+        fallback: null,
+      });
+
+      if (data) {
+        const loadedState = sanitizeState(data);
+        stateRef.current = loadedState;
+        setState(loadedState);
+      }
+    } catch (error) {
+      logAsyncStorageError(error, 'getItem', STORAGE_KEY, getCriticalStorageLogOptions('CollectionsContext', 'getItem'));
+    } finally {
+      setIsLoaded(true);
+    }
+  };
+
+  // Optimistic UI: update immediately, rollback on error. Resolves to false if nothing was stored.
+  const persistState = async (updatedState) => {
+    const previousState = stateRef.current;
+    stateRef.current = updatedState;
+    setState(updatedState);
+
+    try {
+      await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify({ version: STORAGE_VERSION, ...updatedState }));
+      return true;
+    } catch (error) {
+      stateRef.current = previousState;
+      setState(previousState);
+
+      if (isQuotaExceededError(error)) {
+        if (!quotaAlertShownRef.current) {
+          quotaAlertShownRef.current = true;
+          Alert.alert(
+            'Speicher voll',
+            'Der Gerätespeicher ist voll. Deine Sammlungen können gerade nicht gespeichert werden.',
+            [{ text: 'OK' }]
+          );
+        }
+        return false;
+      }
+
+      logAsyncStorageError(error, 'setItem', STORAGE_KEY, getCriticalStorageLogOptions('CollectionsContext', 'setItem'));
+      return false;
+    }
+  };
+
+  const updateCollections = (updateFn) => {
+    const current = stateRef.current;
+    return persistState({ ...current, collections: updateFn(current.collections) });
+  };
+
+  // Keeps collections in line with the saved questions (see header comment)
+  useEffect(() => {
+    if (!isLoaded || !isSavedLoaded) return;
+
+    const { collections, syncedAt } = stateRef.current;
+    const canPruneAll = RELIABLE_LOAD_STATUSES.includes(savedLoadStatus);
+    Object.keys(savedQuestions).forEach(questionId => seenSavedIdsRef.current.add(questionId));
+    const isStillCollected = (questionId) =>
+      !!savedQuestions[questionId] || (!canPruneAll && !seenSavedIdsRef.current.has(questionId));
+
+    const collectedIds = new Set(collections.flatMap(collection => collection.questionIds));
+
+    const newlySaved = getSavedQuestionIds(savedQuestions)
+      .filter(questionId => savedQuestions[questionId] > syncedAt && !collectedIds.has(questionId))
+      .reverse(); // Oldest first, so the default collection keeps save order
+    const latestSavedAt = Math.max(syncedAt, ...Object.values(savedQuestions).filter(value => typeof value === 'number'));
+
+    let hasRemovals = false;
+    const syncedCollections = collections.map(collection => {
+      const questionIds = collection.questionIds.filter(isStillCollected);
+      if (questionIds.length !== collection.questionIds.length) hasRemovals = true;
+
+      return collection.id === DEFAULT_COLLECTION_ID && newlySaved.length > 0
+        ? { ...collection, questionIds: [...questionIds, ...newlySaved] }
+        : { ...collection, questionIds };
+    });
+
+    if (newlySaved.length > 0 || hasRemovals || latestSavedAt !== syncedAt) {
+      persistState({ collections: syncedCollections, syncedAt: latestSavedAt });
+    }
+  }, [savedQuestions, isLoaded, isSavedLoaded, savedLoadStatus]);
+
+  const createCollection = async (name) => {
+    const { collections } = stateRef.current;
+    if (validateCollectionName(name, collections) || collections.length >= MAX_COLLECTIONS) return null;
+
+    const collection = { id: createCollectionId(), name: name.trim(), questionIds: [], createdAt: Date.now() };
+    await updateCollections(current => [...current, collection]);
+    return collection.id;
+  };
+
+  const renameCollection = async (collectionId, name) => {
+    if (validateCollectionName(name, stateRef.current.collections, collectionId)) return false;
+
+    await updateCollections(current => current.map(collection =>
+      collection.id === collectionId ? { ...collection, name: name.trim() } : collection
+    ));
+    return true;
+  };
+
+  // direction: -1 (up) or 1 (down)
+  const moveCollection = async (collectionId, direction) => {
+    const { collections } = stateRef.current;
+    const index = collections.findIndex(collection => collection.id === collectionId);
+    const targetIndex = index + direction;
+    if (index === -1 || targetIndex < 0 || targetIndex >= collections.length) return;
+
+    await updateCollections(current => {
+      const reordered = [...current];
+      [reordered[index], reordered[targetIndex]] = [reordered[targetIndex], reordered[index]];
+      return reordered;
+    });
+  };
+
+  // Questions stay saved - only the grouping is removed. The default collection stays.
+  const deleteCollection = async (collectionId) => {
+    if (collectionId === DEFAULT_COLLECTION_ID) return;
+    await updateCollections(current => current.filter(collection => collection.id !== collectionId));
+  };
+
+  /**
+   * Sets the collections a question belongs to ("In Sammlung speichern").
+   * Saves the question first if it isn't saved yet.
+   */
+  const setQuestionCollections = async (questionId, collectionIds) => {
+    const selectedIds = new Set(collectionIds);
+
+    await updateCollections(current => current.map(collection => {
+      const isMember = collection.questionIds.includes(questionId);
+      if (selectedIds.has(collection.id) && !isMember) {
+        return { ...collection, questionIds: [...collection.questionIds, questionId] };
+      }
+      if (!selectedIds.has(collection.id) && isMember) {
+        return { ...collection, questionIds: collection.questionIds.filter(id => id !== questionId) };
+      }
+      return collection;
+    }));
+
+    if (selectedIds.size > 0 && !savedQuestions[questionId]) {
+      await toggleSaveQuestion(questionId);
+    }
+  };
+
+  // Whole state at once (import). syncedAt: latest savedAt of the favorites that come with it.
+  const replaceCollections = (collections, syncedAt) =>
+    persistState(sanitizeState({ collections, syncedAt }));
+
+  const getCollectionsForQuestion = (questionId) =>
+    state.collections.filter(collection => collection.questionIds.includes(questionId)).map(collection => collection.id);
+
+  return (
+    <CollectionsContext.Provider
+      value={{
+        collections: state.collections,
+        syncedAt: state.syncedAt,
+        isLoaded,
+        createCollection,
+        renameCollection,
+        moveCollection,
+        deleteCollection,
+        setQuestionCollections,
+        getCollectionsForQuestion,
+        replaceCollections,
+      }}
+    >
+      {children}
+    </CollectionsContext.Provider>
+  );
+};
+
+export const useCollections = () => useContext(CollectionsContext);
+export { CollectionsContext };
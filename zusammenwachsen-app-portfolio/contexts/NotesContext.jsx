@@ -0,0 +1,167 @@
+/**
+ * NotesContext.jsx
+ *
+ * Personal notes per question ("hat bei Lea super geklappt, abends 19 Uhr").
+ *
+ * Key features:
+ * - One note per question, edited under the expanded answer (QuestionNoteEditor)
+ * - Optimistic updates (instant UI feedback, rollback on error)
+ * - AsyncStorage persistence with validation, same quota handling as SavedQuestionsContext
+ * - Saving an empty note deletes it
+ *
+ * Storage shape: { [questionId]: { text, updatedAt } } (updatedAt: ms timestamp)
+ *
+ * Error handling:
+ * - Storage access errors: read retried, then logged (notes are user content). Notes stay
+ *   read-only until a load succeeds - writing would overwrite the stored ones
+ * - Quota exceeded: user alert (non-critical, user can fix)
+ * - Corrupted data: logged + restored from the pre-migration backup where possible (storage.js),
+ *   otherwise empty - the corrupted value is kept aside. Broken single entries are dropped.
+ */
+
+import React, { createContext, useState, useContext, useEffect, useRef } from 'react';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { Alert } from 'react-native';
+import { logAsyncStorageError } from '../utils/logError';
+import { isQuotaExceededError, getCriticalStorageLogOptions } from '../utils/storageHelpers';
+import { loadStoredJSONWithRetry, STORAGE_LOAD_STATUS } from '../utils/storage';
+import { STORAGE_SCHEMAS } from '../utils/storageMigrations';
+import { MAX_NOTE_LENGTH } from '../constants/notes';
+
+const STORAGE_KEY = 'questionNotes';
+
+const NotesContext = createContext();
+
+const isValidNote = (note) =>
+  typeof note === 'object' && note !== null && typeof note.text === 'string' && note.text.trim() !== '';
+
+// Drops broken entries, overlong texts are cut instead of lost
+const sanitizeNotes = (data) =>
+  Object.fromEntries(
+    Object.entries(data)
+      .filter(([, note]) => isValidNote(note))
+      .map(([questionId, note]) => [questionId, {
+        text: note.text.substring(0, MAX_NOTE_LENGTH),
+        updatedAt: typeof note.updatedAt === 'number' ? note.updatedAt : 0,
+      }])
+  );
+
+const showReadErrorAlert = (onRetry) => {
+  Alert.alert(
+    'Notizen gerade nicht verfügbar',
+    'Deine Notizen konnten nicht gelesen werden. Sie bleiben erhalten, du kannst sie aber erst wieder ändern, wenn sie geladen sind.',
+    [
+      { text: 'OK', style: 'cancel' },
+      { text: 'Erneut laden', onPress: onRetry },
+    ]
+  );
+};
+
+// Question IDs with a note, most recently edited first
+export const getNoteQuestionIds = (notes) =>
+  Object.entries(notes || {})
+    .sort((a, b) => b[1].updatedAt - a[1].updatedAt)
+    .map(([questionId]) => questionId);
+
+export const NotesProvider = ({ children }) => {
+  const [notes, setNotes] = useState({});
+  const [isLoaded, setIsLoaded] = useState(false);
+  const [loadStatus, setLoadStatus] = useState(null); // STORAGE_LOAD_STATUS - the import waits for a successful load
+  const notesRef = useRef({}); // Latest notes for rollback and back-to-back edits
+  const loadStatusRef = useRef(null); // Writes wait for a successful load
+
+  useEffect(() => {
+    loadNotes();
+  }, []);
+
+  const applyLoadStatus = (status) => {
+    loadStatusRef.current = status;
+    setLoadStatus(status);
+  };
+
+  const loadNotes = async () => {
+    try {
+      const { data, status } = await loadStoredJSONWithRetry(STORAGE_KEY, {
+        componentName: 'NotesContext',
+        isValid: STORAGE_SCHEMAS[STORAGE_KEY].isValid,
+        fallback: {},
+      });
+
+      const loadedNotes = sanitizeNotes(data);
+      notesRef.current = loadedNotes;
+      setNotes(loadedNotes);
+      applyLoadStatus(status);
+    } catch (error) {
+      logAsyncStorageError(error, 'getItem', STORAGE_KEY, getCriticalStorageLogOptions('NotesContext', 'getItem'));
+
+      applyLoadStatus(STORAGE_LOAD_STATUS.ERROR);
+      showReadErrorAlert(loadNotes);
+    } finally {
+      setIsLoaded(true);
+    }
+  };
+
+  // Optimistic UI: update immediately, rollback on error. Resolves to false if nothing was stored -
+  // also while loading or after a failed load, the stored notes would be overwritten.
+  const persistNotes = async (updatedNotes) => {
+    if (loadStatusRef.current === STORAGE_LOAD_STATUS.ERROR) {
+      showReadErrorAlert(loadNotes);
+      return false;
+    }
+    if (loadStatusRef.current === null) return false;
+
+    const previousNotes = notesRef.current;
+    notesRef.current = updatedNotes;
+    setNotes(updatedNotes);
+
+    try {
+      await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(updatedNotes));
+      return true;
+    } catch (error) {
+      notesRef.current = previousNotes;
+      setNotes(previousNotes);
+
+      if (isQuotaExceededError(error)) {
+        Alert.alert(
+          'Speicher voll',
+          'Der Gerätespeicher ist voll. Deine Notiz konnte nicht gespeichert werden. Bitte mache etwas Platz frei.',
+          [{ text: 'OK' }]
+        );
+        return false;
+      }
+
+      logAsyncStorageError(error, 'setItem', STORAGE_KEY, getCriticalStorageLogOptions('NotesContext', 'setItem'));
+      return false;
+    }
+  };
+
+  const saveNote = (questionId, text) => {
+    const trimmedText = typeof text === 'string' ? text.trim().substring(0, MAX_NOTE_LENGTH) : '';
+    if (!trimmedText) return deleteNote(questionId);
+
+    return persistNotes({
+      ...notesRef.current,
+      [questionId]: { text: trimmedText, updatedAt: Date.now() },
+    });
+  };
+
+  const deleteNote = (questionId) => {
+    if (!notesRef.current[questionId]) return Promise.resolve(true);
+
+    const updatedNotes = { ...notesRef.current };
+    delete updatedNotes[questionId];
+    return persistNotes(updatedNotes);
+  };
+
+  // Whole map at once (import)
+  const replaceNotes = (updatedNotes) => persistNotes(sanitizeNotes(updatedNotes));
+
+  return (
+    <NotesContext.Provider value={{ notes, isLoaded, loadStatus, saveNote, deleteNote, replaceNotes, loadNotes }}>
+      {children}
+    </NotesContext.Provider>
+  );
+};
+
+export const useNotes = () => useContext(NotesContext);
+export { NotesContext };
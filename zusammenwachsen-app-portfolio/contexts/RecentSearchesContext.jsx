@@ -0,0 +1,126 @@
+/**
+ * RecentSearchesContext.jsx
+ *
+ * Local search history (last submitted queries) with optimistic UI.
+ *
+ * Key features:
+ * - Last 8 submitted queries, newest first, no duplicates (case/umlaut-insensitive)
+ * - AsyncStorage persistence (local only - queries are never sent or logged)
+ * - Delete single entries or clear all
+ * - Same quota and corruption handling as SavedQuestionsContext (see storageHelpers.js)
+ *
+ * Error handling:
+ * - Storage access errors: logged (without query text)
+ * - Quota exceeded: user alert, once per session (history is non-critical)
+ * - Corrupted data: logged + restored from the pre-migration backup where possible (storage.js),
+ *   otherwise empty history - the corrupted value is kept aside
+ */
+
+import React, { createContext, useState, useContext, useEffect, useRef } from 'react';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { Alert } from 'react-native';
+import { logAsyncStorageError } from '../utils/logError';
+import { isQuotaExceededError, getCriticalStorageLogOptions } from '../utils/storageHelpers';
+import { loadStoredJSON } from '../utils/storage';
+import { STORAGE_SCHEMAS } from '../utils/storageMigrations';
+import { normalizeSearchText } from '../utils/germanLanguage';
+
+const STORAGE_KEY = 'recentSearches';
+const MAX_RECENT_SEARCHES = 8;
+const MAX_QUERY_LENGTH = 300;
+
+const RecentSearchesContext = createContext();
+
+const toHistoryKey = (query) => normalizeSearchText(query).replace(/\s+/g, ' ').trim();
+
+// Drops invalid entries from older or corrupted data
+const sanitizeHistory = (history) =>
+  history
+    .filter(query => typeof query === 'string' && query.trim() !== '')
+    .map(query => query.trim().substring(0, MAX_QUERY_LENGTH))
+    .slice(0, MAX_RECENT_SEARCHES);
+
+export const RecentSearchesProvider = ({ children }) => {
+  const [recentSearches, setRecentSearches] = useState([]);
+  const quotaAlertShownRef = useRef(false);
+
+  useEffect(() => {
+    loadRecentSearches();
+  }, []);
+
+  const loadRecentSearches = async () => {
+    try {
+      const { data } = await loadStoredJSON(STORAGE_KEY, {
+        componentName: 'RecentSearchesContext',
+        isValid: STORAGE_SCHEMAS[STORAGE_KEY].isValid,
+        fallback: [],
+      });
+
+      setRecentSearches(sanitizeHistory(data));
+    } catch (error) {
+      logAsyncStorageError(error, 'getItem', STORAGE_KEY, getCriticalStorageLogOptions('RecentSearchesContext', 'getItem'));
+
+      setRecentSearches([]);
+    }
+  };
+
+  // Optimistic UI: update immediately, rollback on error
+  const persistRecentSearches = async (updatedSearches) => {
+    const previousSearches = recentSearches;
+    setRecentSearches(updatedSearches);
+
+    try {
+      await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(updatedSearches));
+    } catch (error) {
+      setRecentSearches(previousSearches);
+
+      // Quota exceeded: show user-friendly message once (history is a convenience feature)
+      if (isQuotaExceededError(error)) {
+        if (!quotaAlertShownRef.current) {
+          quotaAlertShownRef.current = true;
+          Alert.alert(
+            'Speicher voll',
+            'Der Gerätespeicher ist voll. Dein Suchverlauf kann gerade nicht gespeichert werden.',
+            [{ text: 'OK' }]
+          );
+        }
+        return;
+      }
+
+      // Other storage errors are critical
+      logAsyncStorageError(error, 'setItem', STORAGE_KEY, getCriticalStorageLogOptions('RecentSearchesContext', 'setItem'));
+    }
+  };
+
+  const addRecentSearch = async (query) => {
+    if (typeof query !== 'string' || !query.trim()) return;
+
+    const trimmedQuery = query.trim().substring(0, MAX_QUERY_LENGTH);
+    const key = toHistoryKey(trimmedQuery);
+
+    // Re-running a query moves it to the top
+    const updatedSearches = [
+      trimmedQuery,
+      ...recentSearches.filter(existing => toHistoryKey(existing) !== key),
+    ].slice(0, MAX_RECENT_SEARCHES);
+
+    await persistRecentSearches(updatedSearches);
+  };
+
+  const removeRecentSearch = async (query) => {
+    await persistRecentSearches(recentSearches.filter(existing => existing !== query));
+  };
+
+  const clearRecentSearches = async () => {
+    await persistRecentSearches([]);
+  };
+
+  return (
+    <RecentSearchesContext.Provider value={{ recentSearches, addRecentSearch, removeRecentSearch, clearRecentSearches }}>
+      {children}
+    </RecentSearchesContext.Provider>
+  );
+};
+
+export const useRecentSearches = () => useContext(RecentSearchesContext);
+export { RecentSearchesContext };
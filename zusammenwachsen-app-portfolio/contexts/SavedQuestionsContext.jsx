@@ -8,108 +8,143 @@
  * - AsyncStorage persistence
  * - Quota error handling with user-friendly alerts
  * - Data validation to prevent corrupted state
+ * - Save timestamp per question (sorting by date saved)
+ * 
+ * Storage shape: { [questionId]: savedAt } (ms timestamp, truthy = saved).
+ * Legacy { [questionId]: true } maps are migrated at startup (storageMigrations.js);
+ * loading normalizes them again in case that migration couldn't run.
  * 
  * Error handling:
- * - Storage access errors: logged (critical for app functionality)
+ * - Storage access errors: read retried, then logged (critical for app functionality). The
+ *   favorites stay read-only until a load succeeds - writing would overwrite the stored ones
  * - Quota exceeded: user alert (non-critical, user can fix)
- * - Parse errors: logged + fallback to empty object
+ * - Corrupted data: logged, restored from the pre-migration backup where possible (storage.js),
+ *   the user is told either way - favorites are never reset silently
  */
 
-import React, { createContext, useState, useContext, useEffect } from 'react';
+import React, { createContext, useState, useContext, useEffect, useRef } from 'react';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { Alert } from 'react-native';
 import { logAsyncStorageError } from '../utils/logError';
+import { isQuotaExceededError, getCriticalStorageLogOptions } from '../utils/storageHelpers';
+import { loadStoredJSONWithRetry, STORAGE_LOAD_STATUS } from '../utils/storage';
+import { STORAGE_SCHEMAS, migrateSavedQuestions } from '../utils/storageMigrations';
 
 const SavedQuestionsContext = createContext();
 
+const showLoadProblemAlert = (status) => {
+  if (status === STORAGE_LOAD_STATUS.RECOVERED) {
+    Alert.alert(
+      'Favoriten wiederhergestellt',
+      'Deine gespeicherten Fragen waren beschädigt und wurden aus der letzten Sicherung wiederhergestellt. Fragen, die du danach gespeichert hast, fehlen eventuell.',
+      [{ text: 'OK' }]
+    );
+  } else if (status === STORAGE_LOAD_STATUS.RESET) {
+    Alert.alert(
+      'Favoriten konnten nicht geladen werden',
+      'Deine gespeicherten Fragen sind beschädigt. Eine Kopie bleibt auf deinem Gerät erhalten - bitte schreib uns, wir helfen dir weiter.',
+      [{ text: 'OK' }]
+    );
+  }
+};
+
+// Stored favorites unreadable - not corrupted, so they are kept and nothing is written
+const showReadErrorAlert = (onRetry) => {
+  Alert.alert(
+    'Favoriten gerade nicht verfügbar',
+    'Deine gespeicherten Fragen konnten nicht gelesen werden. Sie bleiben erhalten, du kannst sie aber erst wieder ändern, wenn sie geladen sind.',
+    [
+      { text: 'OK', style: 'cancel' },
+      { text: 'Erneut laden', onPress: onRetry },
+    ]
+  );
+};
+
+// Saved question IDs, most recently saved first
+export const getSavedQuestionIds = (savedQuestions) =>
+  Object.entries(savedQuestions || {})
+    .filter(([, savedAt]) => savedAt)
+    .sort((a, b) => b[1] - a[1])
+    .map(([questionId]) => questionId);
+
 export const SavedQuestionsProvider = ({ children }) => {
   const [savedQuestions, setSavedQuestions] = useState({});
+  const [isLoaded, setIsLoaded] = useState(false); // Collections wait for this before syncing
+  const [loadStatus, setLoadStatus] = useState(null); // STORAGE_LOAD_STATUS - collections only prune after a reliable load
+  const savedQuestionsRef = useRef({}); // Latest favorites for rollback and back-to-back updates
+  const loadStatusRef = useRef(null); // Writes wait for a successful load
+
+  const applySavedQuestions = (updatedSavedQuestions) => {
+    savedQuestionsRef.current = updatedSavedQuestions;
+    setSavedQuestions(updatedSavedQuestions);
+  };
 
   useEffect(() => {
     loadSavedQuestions();
   }, []);
 
+  const applyLoadStatus = (status) => {
+    loadStatusRef.current = status;
+    setLoadStatus(status);
+  };
+
   const loadSavedQuestions = async () => {
     try {
-      const savedQuestionsString = await AsyncStorage.getItem('savedQuestions');
-      
-      if (savedQuestionsString) {
-        let parsed = {};
-        
-        try {
-          parsed = JSON.parse(savedQuestionsString);
-          
-          // Validate parsed data to prevent corrupted app state
-          if (typeof parsed !== 'object' || parsed === null || Array.isArray(parsed)) {
-            throw new Error('[SAVEDQUESTIONSCONTEXT] Invalid data structure: expected object');
-          }
-          
-        } catch (parseError) {
-          logAsyncStorageError(parseError, 'parseJSON', 'savedQuestions', {
-            fingerprint: ['SavedQuestionsContext-parseJSON-critical'],
-            tags: { 
-              component: 'SavedQuestionsContext',
-              errorType: 'critical',
-              critical: true,
-              feature: 'storage'
-            },
-            extra: { 
-              componentName: 'SavedQuestionsContext',
-              method: 'parseJSON',
-              critical: true
-            },
-            severity: 'error'
-          });
-          
-          parsed = {};
-        }
-
-        setSavedQuestions(parsed);
-      }
-    } catch (error) {
-      logAsyncStorageError(error, 'getItem', 'savedQuestions', {
-        fingerprint: ['SavedQuestionsContext-getItem-critical'],
-        tags: { 
-          component: 'SavedQuestionsContext',
-          errorType: 'critical',
-          critical: true,
-          feature: 'storage'
-        },
-        extra: { 
-          componentName: 'SavedQuestionsContext',
-          method: 'getItem',
-          critical: true
-        },
-        severity: 'error'
+      const { data, status } = await loadStoredJSONWithRetry('savedQuestions', {
+        componentName: 'SavedQuestionsContext',
+        isValid: STORAGE_SCHEMAS.savedQuestions.isValid,
+        fallback: {},
       });
-      
-      setSavedQuestions({});
+
+      applySavedQuestions(migrateSavedQuestions(data));
+      applyLoadStatus(status);
+      showLoadProblemAlert(status);
+    } catch (error) {
+      logAsyncStorageError(error, 'getItem', 'savedQuestions', getCriticalStorageLogOptions('SavedQuestionsContext', 'getItem'));
+
+      // Read-only until a load succeeds - collections don't prune on ERROR either
+      applyLoadStatus(STORAGE_LOAD_STATUS.ERROR);
+      showReadErrorAlert(loadSavedQuestions);
+    } finally {
+      setIsLoaded(true);
+    }
+  };
+
+  // False while loading or after a failed load - the stored favorites would be overwritten
+  const canWrite = () => {
+    if (loadStatusRef.current === STORAGE_LOAD_STATUS.ERROR) {
+      showReadErrorAlert(loadSavedQuestions);
+      return false;
     }
+    return loadStatusRef.current !== null;
   };
 
   // Optimistic UI: update immediately, rollback on error
   const toggleSaveQuestion = async (questionId) => {
+    if (!canWrite()) return;
+
+    const previousSavedQuestions = savedQuestionsRef.current;
     try {
-      const updatedSavedQuestions = { ...savedQuestions };
-      const wasAlreadySaved = !!updatedSavedQuestions[questionId];
-      updatedSavedQuestions[questionId] = !updatedSavedQuestions[questionId];
+      const updatedSavedQuestions = { ...previousSavedQuestions };
+      if (updatedSavedQuestions[questionId]) {
+        delete updatedSavedQuestions[questionId];
+      } else {
+        updatedSavedQuestions[questionId] = Date.now();
+      }
       
-      setSavedQuestions(updatedSavedQuestions);
+      applySavedQuestions(updatedSavedQuestions);
 
       try {
         await AsyncStorage.setItem('savedQuestions', JSON.stringify(updatedSavedQuestions));
       } catch (storageError) {
         // Rollback on storage failure
-        setSavedQuestions(savedQuestions);
+        applySavedQuestions(previousSavedQuestions);
         throw storageError;
       }
 
     } catch (error) {
       // Quota exceeded: show user-friendly message (user can fix by deleting items)
-      if (error.message?.includes('QuotaExceededError') || 
-          error.message?.includes('quota') ||
-          error.name === 'QuotaExceededError') {
-        
+      if (isQuotaExceededError(error)) {
         Alert.alert(
           'Speicher voll',
           'Der Gerätespeicher ist voll. Bitte lösche einige gespeicherte Fragen oder mache Platz frei.',
@@ -119,26 +154,63 @@ export const SavedQuestionsProvider = ({ children }) => {
       }
 
       // Other storage errors are critical
-      logAsyncStorageError(error, 'setItem', 'savedQuestions', {
-        fingerprint: ['SavedQuestionsContext-setItem-critical'],
-        tags: { 
-          component: 'SavedQuestionsContext',
-          errorType: 'critical',
-          critical: true,
-          feature: 'storage'
-        },
-        extra: { 
-          componentName: 'SavedQuestionsContext',
-          method: 'setItem',
-          critical: true
-        },
-        severity: 'error'
-      });
+      logAsyncStorageError(error, 'setItem', 'savedQuestions', getCriticalStorageLogOptions('SavedQuestionsContext', 'setItem'));
     }
   };
 
+  // Whole map at once (import). Resolves to false if nothing was stored.
+  const replaceSavedQuestions = async (updatedSavedQuestions) => {
+    if (!canWrite()) return false;
+
+    const previousSavedQuestions = savedQuestionsRef.current;
+    applySavedQuestions(updatedSavedQuestions);
+
+    try {
+      await AsyncStorage.setItem('savedQuestions', JSON.stringify(updatedSavedQuestions));
+      return true;
+    } catch (error) {
+      applySavedQuestions(previousSavedQuestions);
+
+      if (isQuotaExceededError(error)) {
+        Alert.alert(
+          'Speicher voll',
+          'Der Gerätespeicher ist voll. Bitte lösche einige gespeicherte Fragen oder mache Platz frei.',
+          [{ text: 'OK' }]
+        );
+        return false;
+      }
+
+      logAsyncStorageError(error, 'setItem', 'savedQuestions', getCriticalStorageLogOptions('SavedQuestionsContext', 'replace'));
+      return false;
+    }
+  };
+
+  /**
+   * Functional update against the latest favorites (not a render-time snapshot) -
+   * e.g. merging shared favorites. Returning the same map stores nothing.
+   * Resolves to false if nothing was stored.
+   */
+  const updateSavedQuestions = (updateFn) => {
+    if (!canWrite()) return Promise.resolve(false);
+
+    const currentSavedQuestions = savedQuestionsRef.current;
+    const updatedSavedQuestions = updateFn(currentSavedQuestions);
+    if (updatedSavedQuestions === currentSavedQuestions) return Promise.resolve(true);
+    return replaceSavedQuestions(updatedSavedQuestions);
+  };
+
   return (
-    <SavedQuestionsContext.Provider value={{ savedQuestions, toggleSaveQuestion, loadSavedQuestions }}>
+    <SavedQuestionsContext.Provider
+      value={{
+        savedQuestions,
+        isLoaded,
+        loadStatus,
+        toggleSaveQuestion,
+        replaceSavedQuestions,
+        updateSavedQuestions,
+        loadSavedQuestions,
+      }}
+    >
       {children}
     </SavedQuestionsContext.Provider>
   );
@@ -0,0 +1,146 @@
+/**
+ * useFavoritesTransfer.js
+ *
+ * Export/import of favorites, collections and notes (format: utils/favoritesTransfer.js).
+ *
+ * - exportFavorites(): writes a JSON file to the cache directory and opens the share sheet
+ * - importFavorites(): file picker → validation → "Zusammenführen" / "Ersetzen" → report alert
+ *
+ * Error handling:
+ * - Invalid files: alert with the reason, not logged (user input)
+ * - File system / share sheet errors: logged + generic alert
+ * - Storage errors: handled by the contexts (quota alert, rollback). The import is all or
+ *   nothing - if a later part can't be stored, the parts stored before it are restored.
+ * - Notes not loaded (yet): no import - it would merge against and overwrite the stored notes
+ */
+
+import { useCallback } from 'react';
+import { Alert } from 'react-native';
+import * as FileSystem from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+import * as DocumentPicker from 'expo-document-picker';
+import { useSavedQuestions } from './SavedQuestionsContext';
+import { useCollections } from './CollectionsContext';
+import { useNotes } from './NotesContext';
+import {
+  IMPORT_MODE,
+  createTransferData,
+  getTransferFileName,
+  validateTransferFile,
+  planImport,
+  formatImportReport,
+} from '../utils/favoritesTransfer';
+import { logDataError } from '../utils/logError';
+import { STORAGE_LOAD_STATUS } from '../utils/storage';
+import indexData from '../assets/data/index_data.json';
+
+const knownQuestionIds = new Set(indexData.map(question => question.QuestionIDIndex));
+
+const showAlert = (title, message) => Alert.alert(title, message, [{ text: 'OK' }]);
+
+// Resolves to the chosen IMPORT_MODE or null (cancelled)
+const askImportMode = (data) => new Promise(resolve => {
+  const favoriteCount = Object.keys(data.savedQuestions).length;
+  const noteCount = Object.keys(data.notes).length;
+
+  Alert.alert(
+    'Favoriten importieren',
+    `Die Datei enthält ${favoriteCount} Favoriten, ${data.collections.length} Sammlungen und ${noteCount} Notizen.\n\n` +
+      'Zusammenführen behält alles auf diesem Gerät und ergänzt die Datei. ' +
+      'Ersetzen löscht die Favoriten, Sammlungen und Notizen auf diesem Gerät.',
+    [
+      { text: 'Abbrechen', style: 'cancel', onPress: () => resolve(null) },
+      { text: 'Ersetzen', style: 'destructive', onPress: () => resolve(IMPORT_MODE.REPLACE) },
+      { text: 'Zusammenführen', onPress: () => resolve(IMPORT_MODE.MERGE) },
+    ],
+    { cancelable: true, onDismiss: () => resolve(null) }
+  );
+});
+
+export const useFavoritesTransfer = () => {
+  const { savedQuestions, replaceSavedQuestions } = useSavedQuestions();
+  const { collections, syncedAt, replaceCollections } = useCollections();
+  const { notes, loadStatus: notesLoadStatus, replaceNotes } = useNotes();
+
+  const exportFavorites = useCallback(async () => {
+    try {
+      if (!(await Sharing.isAvailableAsync())) {
+        showAlert('Export nicht möglich', 'Auf diesem Gerät können keine Dateien geteilt werden.');
+        return;
+      }
+
+      const fileUri = `${FileSystem.cacheDirectory}${getTransferFileName()}`;
+      const transferData = createTransferData({ savedQuestions, collections, notes });
+      await FileSystem.writeAsStringAsync(fileUri, JSON.stringify(transferData, null, 2));
+
+      await Sharing.shareAsync(fileUri, {
+        mimeType: 'application/json',
+        UTI: 'public.json',
+        dialogTitle: 'Favoriten exportieren',
+      });
+    } catch (error) {
+      logDataError(error, 'useFavoritesTransfer', 'exportFavorites');
+      showAlert('Export fehlgeschlagen', 'Deine Favoriten konnten nicht exportiert werden. Bitte versuche es erneut.');
+    }
+  }, [savedQuestions, collections, notes]);
+
+  const importFavorites = useCallback(async () => {
+    if (!notesLoadStatus || notesLoadStatus === STORAGE_LOAD_STATUS.ERROR) {
+      showAlert('Import nicht möglich', 'Deine Notizen konnten nicht geladen werden. Bitte versuche es später erneut.');
+      return;
+    }
+
+    let fileContent;
+    try {
+      const result = await DocumentPicker.getDocumentAsync({
+        type: ['application/json', 'text/plain', '*/*'],
+        copyToCacheDirectory: true,
+      });
+      if (result.canceled || !result.assets?.[0]?.uri) return;
+
+      fileContent = await FileSystem.readAsStringAsync(result.assets[0].uri);
+    } catch (error) {
+      logDataError(error, 'useFavoritesTransfer', 'readImportFile');
+      showAlert('Import fehlgeschlagen', 'Die Datei konnte nicht gelesen werden.');
+      return;
+    }
+
+    const { data, error } = validateTransferFile(fileContent);
+    if (error) {
+      showAlert('Import nicht möglich', error);
+      return;
+    }
+
+    const mode = await askImportMode(data);
+    if (!mode) return;
+
+    const planned = planImport(data, { savedQuestions, collections, notes }, {
+      mode,
+      isKnownId: (questionId) => knownQuestionIds.has(questionId),
+    });
+
+    // Collections first: their syncedAt keeps imported favorites out of the default collection
+    const latestSavedAt = Math.max(0, ...Object.values(planned.savedQuestions));
+    const areCollectionsStored = await replaceCollections(planned.collections, latestSavedAt);
+    const areFavoritesStored = areCollectionsStored && await replaceSavedQuestions(planned.savedQuestions);
+    const areNotesStored = areFavoritesStored && await replaceNotes(planned.notes);
+
+    if (areNotesStored) {
+      showAlert('Import abgeschlossen', formatImportReport(planned.report));
+      return;
+    }
+
+    // A failed part already restored itself - undo the parts stored before it, newest first
+    const isRolledBack = (!areFavoritesStored || await replaceSavedQuestions(savedQuestions))
+      && (!areCollectionsStored || await replaceCollections(collections, syncedAt));
+
+    if (isRolledBack) {
+      showAlert('Import fehlgeschlagen', 'Die Daten konnten nicht gespeichert werden. Deine Favoriten sind unverändert - bitte versuche es erneut.');
+    } else {
+      logDataError(new Error('[TRANSFER] Import rollback failed'), 'useFavoritesTransfer', 'importFavorites');
+      showAlert('Import unvollständig', 'Nicht alle Daten konnten gespeichert werden. Bitte prüfe deine Favoriten und versuche es erneut.');
+    }
+  }, [savedQuestions, collections, syncedAt, notes, notesLoadStatus, replaceSavedQuestions, replaceCollections, replaceNotes]);
+
+  return { exportFavorites, importFavorites };
+};
@@ -8,7 +8,11 @@
  * - Über uns
  * - Unterstützen
  * - Kontakt
+ * - Meine Notizen (opens NotesScreen in the favorites tab)
  * - App bewerten (opens external store link)
+ * - Favoriten teilen (QR codes for the other parent's phone, offline)
+ * - Favoriten übertragen (export/import as a file, see useFavoritesTransfer)
+ * - Personalisierung zurücksetzen (clears the local search click history)
  * - Impressum
  * - Datenschutzerklärung
  * 
@@ -32,7 +36,10 @@ import ContactScreen from '../screens/ContactScreen';
 import DSGVOScreen from '../screens/DSGVOScreen';
 import { logNavigationError, logUIRenderError } from '../utils/logError';
 import InterText from '../components/InterText';
-import { Linking, Platform } from 'react-native';
+import { Linking, Platform, Alert } from 'react-native';
+import { resetPersonalRanking } from '../utils/personalRanking';
+import { resetQuestionUsage } from '../utils/questionUsage';
+import { useFavoritesTransfer } from '../contexts/useFavoritesTransfer';
 
 const Drawer = createDrawerNavigator();
 
@@ -122,6 +129,8 @@ function EmptyScreen() {
 }
 
 export default function DrawerMenu() {
+  const { exportFavorites, importFavorites } = useFavoritesTransfer();
+
   const navigateToHome = (navigation) => {
     try {
       if (!navigation || !navigation.navigate || typeof navigation.navigate !== 'function') {
@@ -247,6 +256,33 @@ export default function DrawerMenu() {
           {renderScreenWrapper(ContactScreen)}
         </Drawer.Screen>
 
+        <Drawer.Screen 
+          name="Meine Notizen"
+          component={EmptyScreen}
+          options={{ 
+            title: 'Meine Notizen',
+            drawerLabel: 'Meine Notizen',
+            drawerAccessibilityLabel: 'Zeigt deine persönlichen Notizen zu den Impulsen',
+            drawerAccessibilityRole: 'button',
+            drawerIcon: ({ color, size }) => renderDrawerIcon("document-text-outline", size, color)
+          }}
+          listeners={({ navigation }) => ({
+            drawerItemPress: (e) => {
+              e.preventDefault();
+
+              try {
+                navigation.navigate('Startseite', {
+                  screen: 'SavedItemsTab',
+                  params: { screen: 'NotesScreen' },
+                });
+                navigation.closeDrawer?.();
+              } catch (error) {
+                logNavigationError(error, 'DrawerMenu', 'navigateToNotes');
+              }
+            }
+          })}
+        />
+
         <Drawer.Screen 
           name="App bewerten"
           component={EmptyScreen}
@@ -290,6 +326,93 @@ export default function DrawerMenu() {
           }}
         />
 
+        <Drawer.Screen 
+          name="Favoriten teilen"
+          component={EmptyScreen}
+          options={{ 
+            title: 'Favoriten teilen',
+            drawerLabel: 'Favoriten teilen',
+            drawerAccessibilityLabel: 'Favoriten per QR-Code mit einem anderen Handy teilen',
+            drawerAccessibilityRole: 'button',
+            drawerIcon: ({ color, size }) => renderDrawerIcon("qr-code-outline", size, color)
+          }}
+          listeners={({ navigation }) => ({
+            drawerItemPress: (e) => {
+              e.preventDefault();
+
+              try {
+                navigation.navigate('Startseite', {
+                  screen: 'SavedItemsTab',
+                  params: { screen: 'ShareFavoritesScreen' },
+                });
+                navigation.closeDrawer?.();
+              } catch (error) {
+                logNavigationError(error, 'DrawerMenu', 'navigateToShareFavorites');
+              }
+            }
+          })}
+        />
+
+        <Drawer.Screen 
+          name="Favoriten übertragen"
+          component={EmptyScreen}
+          options={{ 
+            title: 'Favoriten übertragen',
+            drawerLabel: 'Favoriten übertragen',
+            drawerAccessibilityLabel: 'Favoriten, Sammlungen und Notizen als Datei exportieren oder importieren',
+            drawerAccessibilityRole: 'button',
+            drawerIcon: ({ color, size }) => renderDrawerIcon("swap-vertical-outline", size, color)
+          }}
+          listeners={{
+            drawerItemPress: (e) => {
+              e.preventDefault();
+
+              Alert.alert(
+                'Favoriten übertragen',
+                'Sichere deine Favoriten, Sammlungen und Notizen als Datei - zum Beispiel für ein neues Handy - oder importiere eine gesicherte Datei.',
+                [
+                  { text: 'Abbrechen', style: 'cancel' },
+                  { text: 'Importieren', onPress: importFavorites },
+                  { text: 'Exportieren', onPress: exportFavorites },
+                ]
+              );
+            }
+          }}
+        />
+
+        <Drawer.Screen 
+          name="Personalisierung zurücksetzen"
+          component={EmptyScreen}
+          options={{ 
+            title: 'Personalisierung zurücksetzen',
+            drawerLabel: 'Personalisierung zurücksetzen',
+            drawerAccessibilityLabel: 'Setzt die persönliche Sortierung der Suchergebnisse zurück',
+            drawerAccessibilityRole: 'button',
+            drawerIcon: ({ color, size }) => renderDrawerIcon("refresh-outline", size, color)
+          }}
+          listeners={{
+            drawerItemPress: (e) => {
+              e.preventDefault();
+
+              Alert.alert(
+                'Personalisierung zurücksetzen',
+                'Die Suche merkt sich auf deinem Gerät, welche Impulse du geöffnet hast, zeigt sie weiter oben und schlägt sie unter "Für dich" vor. Möchtest du diese Daten löschen?',
+                [
+                  { text: 'Abbrechen', style: 'cancel' },
+                  {
+                    text: 'Löschen',
+                    style: 'destructive',
+                    onPress: () => {
+                      resetPersonalRanking();
+                      resetQuestionUsage();
+                    },
+                  },
+                ]
+              );
+            }
+          }}
+        />
+
         <Drawer.Screen 
           name="Impressum" 
           options={{ 
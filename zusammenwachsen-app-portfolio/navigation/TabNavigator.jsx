@@ -7,7 +7,8 @@
  * - HomeTab (Stack: Home → SubCategory → SingleQuestion)
  * - SearchTab (Stack: Search → SingleQuestion)
  * - DonationsTab (Single screen with header)
- * - SavedItemsTab (Stack: SavedQuestions → SingleQuestion)
+ * - SavedItemsTab (Stack: SavedQuestions → SingleQuestion, Notes → SingleQuestion,
+ *   ShareFavorites → ScanFavorites)
  * 
  * Features:
  * - Animated heart icon (shakes when user saves a question)
@@ -28,6 +29,9 @@ import SubCategoryScreen from '../screens/SubCategoryScreen';
 import ImpressumScreen from '../screens/ImpressumScreen';
 import HomeSearchBarScreen from '../screens/HomeSearchBarScreen';
 import SingleQuestionScreen from '../screens/SingleQuestionScreen';
+import NotesScreen from '../screens/NotesScreen';
+import ShareFavoritesScreen from '../screens/ShareFavoritesScreen';
+import ScanFavoritesScreen from '../screens/ScanFavoritesScreen';
 import Header from '../components/Header';
 import { useFavoriteTabAnimation } from '../contexts/FavoriteTabAnimationContext';
 import { logUIRenderError } from '../utils/logError';
@@ -136,6 +140,9 @@ const SearchStack = createSafeStack([
 
 const SavedStack = createSafeStack([
   { name: 'SavedQuestionsScreen', component: SavedQuestionsScreen },
+  { name: 'NotesScreen', component: NotesScreen },
+  { name: 'ShareFavoritesScreen', component: ShareFavoritesScreen },
+  { name: 'ScanFavoritesScreen', component: ScanFavoritesScreen },
   { name: 'SingleQuestionScreen', component: SingleQuestionScreen },
 ], 'SavedStack');
 
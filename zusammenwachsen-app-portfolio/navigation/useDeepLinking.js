@@ -5,6 +5,9 @@
  * 
  * URL format: app://question/{questionId}
  * Example: app://question/Q123 → navigates to SingleQuestionScreen with questionId="Q123"
+ *
+ * Shared favorites: app://favorites/... (QR code of "Favoriten teilen", see favoritesShareCode.js)
+ * → ScanFavoritesScreen in the favorites tab, which collects and merges the parts
  * 
  * Deep linking is non-critical - app continues normally if it fails.
  */
@@ -13,6 +16,7 @@ import { useEffect } from 'react';
 import * as Linking from 'expo-linking';
 import { useNavigationContainerRef } from '@react-navigation/native';
 import { logNavigationError } from '../utils/logError';
+import { isFavoritesShareLink } from '../utils/favoritesShareCode';
 
 export function useDeepLinking() {
   const navigationRef = useNavigationContainerRef();
@@ -24,6 +28,14 @@ export function useDeepLinking() {
           return;
         }
 
+        if (isFavoritesShareLink(url)) {
+          navigationRef.current.navigate('Startseite', {
+            screen: 'SavedItemsTab',
+            params: { screen: 'ScanFavoritesScreen', params: { sharedLink: url } },
+          });
+          return;
+        }
+
         const parsed = Linking.parse(url);
         if (!parsed) return;
 
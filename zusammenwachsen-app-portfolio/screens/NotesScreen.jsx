@@ -0,0 +1,134 @@
+/**
+ * NotesScreen.jsx
+ *
+ * "Meine Notizen": all personal notes, most recently edited first.
+ *
+ * Features:
+ * - Question title, note text and date per entry
+ * - Tap opens the question (SingleQuestionScreen), where the note can be edited
+ * - Notes of questions no longer in the data stay visible, so nothing is lost silently
+ */
+
+import React, { useMemo, useCallback } from 'react';
+import { StyleSheet, FlatList, View, TouchableOpacity } from 'react-native';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import InterText from '../components/InterText';
+import Icon from '../components/Icon';
+import { formatNoteDate } from '../components/QuestionNoteEditor';
+import { useNotes, getNoteQuestionIds } from '../contexts/NotesContext';
+import { logNavigationError } from '../utils/logError';
+import indexData from '../assets/data/index_data.json';
+
+const questionTextById = new Map(indexData.map(question => [question.QuestionIDIndex, question.QuestionIndex]));
+
+export default function NotesScreen({ navigation }) {
+  const insets = useSafeAreaInsets();
+  const { notes, isLoaded } = useNotes();
+
+  const noteEntries = useMemo(
+    () => getNoteQuestionIds(notes).map(questionId => ({
+      questionId,
+      questionText: questionTextById.get(questionId) || 'Frage nicht mehr verfügbar',
+      isKnown: questionTextById.has(questionId),
+      ...notes[questionId],
+    })),
+    [notes]
+  );
+
+  const handleNotePress = useCallback((questionId) => {
+    try {
+      navigation.navigate('SingleQuestionScreen', { questionId });
+    } catch (error) {
+      logNavigationError(error, 'NotesScreen', 'handleNotePress');
+    }
+  }, [navigation]);
+
+  const renderItem = ({ item }) => (
+    <TouchableOpacity
+      style={styles.card}
+      onPress={() => handleNotePress(item.questionId)}
+      disabled={!item.isKnown}
+      accessibilityRole="button"
+      accessibilityLabel={`${item.questionText}. Notiz vom ${formatNoteDate(item.updatedAt)}: ${item.text}`}
+      accessibilityHint={item.isKnown ? 'Tippe doppelt, um die Frage mit deiner Notiz zu öffnen' : undefined}
+    >
+      <View style={styles.cardHeader}>
+        <InterText style={styles.questionText} numberOfLines={2}>{item.questionText}</InterText>
+        {item.isKnown && <Icon name="chevron-forward" size={18} color="#999" />}
+      </View>
+      <InterText style={styles.noteText} numberOfLines={4}>{item.text}</InterText>
+      <InterText style={styles.dateText}>{formatNoteDate(item.updatedAt)}</InterText>
+    </TouchableOpacity>
+  );
+
+  const safeInsets = insets || { top: 0, bottom: 0 };
+
+  return (
+    <FlatList
+      style={styles.container}
+      contentContainerStyle={[styles.contentContainer, { paddingBottom: safeInsets.bottom + 10 }]}
+      data={noteEntries}
+      keyExtractor={item => item.questionId}
+      renderItem={renderItem}
+      ListHeaderComponent={
+        <InterText style={styles.title} accessibilityRole="header">Meine Notizen</InterText>
+      }
+      ListEmptyComponent={isLoaded ? (
+        <InterText style={styles.emptyText}>
+          Du hast noch keine Notizen. Öffne eine Frage und tippe unter der Antwort auf "Notiz hinzufügen".
+        </InterText>
+      ) : null}
+    />
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#fff',
+  },
+  contentContainer: {
+    padding: 10,
+  },
+  title: {
+    fontSize: 20,
+    fontFamily: 'Inter-Bold',
+    color: '#56626a',
+    marginHorizontal: 5,
+    marginBottom: 10,
+  },
+  card: {
+    marginVertical: 5,
+    padding: 15,
+    borderRadius: 10,
+    backgroundColor: '#f3f3f3',
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  questionText: {
+    flex: 1,
+    fontSize: 14,
+    fontFamily: 'Inter-Bold',
+    color: '#56626a',
+    marginRight: 5,
+  },
+  noteText: {
+    marginTop: 6,
+    fontSize: 15,
+    color: '#333',
+  },
+  dateText: {
+    marginTop: 6,
+    fontSize: 12,
+    color: '#999',
+  },
+  emptyText: {
+    fontSize: 15,
+    color: '#777',
+    textAlign: 'center',
+    marginHorizontal: 20,
+    marginTop: 20,
+  },
+});
@@ -0,0 +1,229 @@
+/**
+ * ScanFavoritesScreen.jsx
+ *
+ * Receiving side of "Favoriten teilen": scans the QR codes of the other phone
+ * and adds the shared favorites (nothing is removed).
+ *
+ * Features:
+ * - Camera scanner (expo-camera), collects all parts of a multi-code share
+ * - Also reached via deep link (app://favorites/...) when a code is scanned with the
+ *   system camera - the link arrives as route param `sharedLink`
+ * - Merges once the saved favorites have loaded, against the latest favorites
+ *   (a link can arrive before the favorites are read from storage)
+ * - Fully offline
+ *
+ * Error handling:
+ * - Foreign QR codes: short hint on screen, not logged
+ * - Denied camera permission: explanation + button to ask again
+ */
+
+import React, { useState, useRef, useEffect, useCallback } from 'react';
+import { StyleSheet, View, TouchableOpacity, Alert } from 'react-native';
+import { CameraView, useCameraPermissions } from 'expo-camera';
+import { useRoute } from '@react-navigation/native';
+import InterText from '../components/InterText';
+import { useSavedQuestions } from '../contexts/SavedQuestionsContext';
+import {
+  parseFavoritesShareLink,
+  addSharePart,
+  isShareComplete,
+  getSharedQuestionIds,
+  mergeSharedFavorites,
+} from '../utils/favoritesShareCode';
+import { logUIRenderError } from '../utils/logError';
+import indexData from '../assets/data/index_data.json';
+
+const knownQuestionIds = new Set(indexData.map(question => question.QuestionIDIndex));
+
+const formatMergeReport = ({ addedCount, existingCount, unknownIds }) => [
+  `${addedCount} neue Favoriten übernommen.`,
+  existingCount > 0 && `${existingCount} waren schon gespeichert.`,
+  unknownIds.length > 0
+    && `${unknownIds.length} Fragen gibt es in dieser App-Version nicht und wurden nicht übernommen. Bitte aktualisiere die App.`,
+].filter(Boolean).join('\n');
+
+export default function ScanFavoritesScreen({ navigation }) {
+  const route = useRoute();
+  const [permission, requestPermission] = useCameraPermissions();
+  const { isLoaded, updateSavedQuestions } = useSavedQuestions();
+  const [collected, setCollected] = useState(null);
+  const [hint, setHint] = useState(null);
+  const isMergingRef = useRef(false);
+  const collectedRef = useRef(null); // Scanner fires faster than state updates
+
+  // Failed merge: start over, so scanning the codes again retries
+  const resetCollected = () => {
+    isMergingRef.current = false;
+    collectedRef.current = null;
+    setCollected(null);
+  };
+
+  const mergeShare = useCallback(async (completeShare) => {
+    isMergingRef.current = true;
+
+    try {
+      let result;
+      const isStored = await updateSavedQuestions(currentSavedQuestions => {
+        result = mergeSharedFavorites(currentSavedQuestions, getSharedQuestionIds(completeShare), {
+          isKnownId: (questionId) => knownQuestionIds.has(questionId),
+        });
+        return result.addedCount > 0 ? result.savedQuestions : currentSavedQuestions;
+      });
+      if (!isStored) {
+        resetCollected();
+        return;
+      }
+
+      Alert.alert('Favoriten übernommen', formatMergeReport(result), [
+        { text: 'OK', onPress: () => navigation.navigate('SavedQuestionsScreen') },
+      ]);
+    } catch (error) {
+      logUIRenderError(error, 'ScanFavoritesScreen', 'mergeShare');
+      resetCollected();
+    }
+  }, [updateSavedQuestions, navigation]);
+
+  const handleLink = useCallback((url) => {
+    if (isMergingRef.current) return;
+
+    const sharePart = parseFavoritesShareLink(url);
+    if (!sharePart) {
+      setHint('Das ist kein Favoriten-Code der Zusammenwachsen App.');
+      return;
+    }
+
+    // Same part again (camera keeps firing) - nothing to do
+    const current = collectedRef.current;
+    if (current?.batchId === sharePart.batchId && current.parts[sharePart.part]) return;
+
+    const updated = addSharePart(current, sharePart);
+    collectedRef.current = updated;
+    setCollected(updated);
+    setHint(null);
+  }, []);
+
+  // Complete share → merge, but not before the saved favorites are loaded
+  useEffect(() => {
+    if (isLoaded && collected && isShareComplete(collected) && !isMergingRef.current) {
+      mergeShare(collected);
+    }
+  }, [collected, isLoaded, mergeShare]);
+
+  // Code scanned with the system camera → deep link → this screen
+  useEffect(() => {
+    if (route.params?.sharedLink) {
+      handleLink(route.params.sharedLink);
+    }
+  }, [route.params?.sharedLink]);
+
+  const scannedCount = collected ? Object.keys(collected.parts).length : 0;
+
+  const renderCamera = () => {
+    if (!permission) return null;
+
+    if (!permission.granted) {
+      return (
+        <View style={styles.permissionContainer}>
+          <InterText style={styles.text}>
+            Um die Favoriten vom anderen Handy zu übernehmen, braucht die App Zugriff auf die Kamera.
+            Die Bilder werden nicht gespeichert.
+          </InterText>
+          <TouchableOpacity onPress={requestPermission} style={styles.button} accessibilityRole="button">
+            <InterText style={styles.buttonText}>Kamera erlauben</InterText>
+          </TouchableOpacity>
+        </View>
+      );
+    }
+
+    return (
+      <View style={styles.cameraContainer}>
+        <CameraView
+          style={styles.camera}
+          facing="back"
+          barcodeScannerSettings={{ barcodeTypes: ['qr'] }}
+          onBarcodeScanned={({ data }) => handleLink(data)}
+          accessibilityLabel="Kamera zum Scannen der Favoriten-Codes"
+        />
+      </View>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <InterText style={styles.title} accessibilityRole="header">Favoriten übernehmen</InterText>
+      <InterText style={styles.text}>
+        Öffne auf dem anderen Handy "Favoriten teilen" und halte die Kamera auf den Code.
+      </InterText>
+
+      {renderCamera()}
+
+      <View accessibilityLiveRegion="polite">
+        {collected && (
+          <InterText style={styles.progressText}>
+            {scannedCount === collected.total
+              ? 'Alle Codes gescannt'
+              : `Code ${scannedCount} von ${collected.total} gescannt - bitte den nächsten Code scannen`}
+          </InterText>
+        )}
+        {hint && <InterText style={styles.hintText}>{hint}</InterText>}
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    padding: 20,
+    backgroundColor: '#fff',
+  },
+  title: {
+    fontSize: 20,
+    fontFamily: 'Inter-Bold',
+    color: '#56626a',
+    marginBottom: 10,
+  },
+  text: {
+    fontSize: 15,
+    lineHeight: 22,
+    color: '#56626a',
+  },
+  cameraContainer: {
+    marginTop: 20,
+    aspectRatio: 1,
+    borderRadius: 10,
+    overflow: 'hidden',
+  },
+  camera: {
+    flex: 1,
+  },
+  permissionContainer: {
+    marginTop: 20,
+  },
+  button: {
+    alignSelf: 'flex-start',
+    marginTop: 12,
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderRadius: 10,
+    backgroundColor: '#c0897f',
+  },
+  buttonText: {
+    fontSize: 16,
+    fontFamily: 'Inter-Bold',
+    color: '#fff',
+  },
+  progressText: {
+    marginTop: 16,
+    fontSize: 15,
+    fontFamily: 'Inter-Bold',
+    color: '#56626a',
+    textAlign: 'center',
+  },
+  hintText: {
+    marginTop: 8,
+    fontSize: 14,
+    color: '#c0897f',
+    textAlign: 'center',
+  },
+});
@@ -4,38 +4,94 @@
  * Main search screen with fuzzy search and default questions.
  * 
  * Features:
- * - Real-time search input (results shown after submit)
- * - Default questions loaded from remote config (fallback to hardcoded list)
- * - 800ms debounce on search to prevent excessive searches
+ * - Search-as-you-type (debounced, see useLiveSearch)
+ * - Default questions in two sections: "Für dich" (own opened/saved impulses) and
+ *   "Beliebt" (seasonal picks + curated remote list, cached for offline use - see trendingQuestions.js)
+ * - Previous results stay visible while the next query is running
+ * - Category facet bar (narrows results without retyping)
+ * - Paged results beyond the first 25 ("Weitere Ergebnisse laden")
+ * - Autocomplete under the SearchBar (tap or keyboard focus + Enter; screen reader friendly)
+ * - "Meintest du …?" suggestions when a search finds nothing
+ * - Recent searches above the default questions (see RecentSearchesContext)
+ * - Learns locally which results the user opens (see personalRanking.js)
+ * - Help banner with emergency numbers for crisis queries (see crisisDetection.js)
  * - Auto-focus on search input
  * 
  * Flow:
  * 1. User types query
- * 2. User submits (Enter or submit button)
- * 3. Show loading indicator (800ms)
- * 4. Display results or "no results" message
+ * 2. Search runs after a short typing pause (or immediately on submit / suggestion)
+ * 3. Loading indicator only for the very first result set
+ * 4. Display results or a status-specific empty state
+ *    (spelling suggestions for real no-matches, "Bitte etwas genauer suchen" for stopword-only input)
  */
 
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import InterText from '../components/InterText';
-import { View, StyleSheet, Keyboard, TouchableWithoutFeedback, ActivityIndicator } from 'react-native';
+import { View, StyleSheet, Keyboard, TouchableWithoutFeedback, TouchableOpacity, ActivityIndicator } from 'react-native';
 import SearchBar from '../components/SearchBar';
 import QuestionCards from '../components/QuestionCards';
 import SearchScreenResults from '../components/SearchScreenResults';
-import { searchQuestions } from '../utils/FuseSearch';
+import SearchCategoryFacets from '../components/SearchCategoryFacets';
+import SearchSuggestions from '../components/SearchSuggestions';
+import RecentSearches from '../components/RecentSearches';
+import CrisisHelpBanner from '../components/CrisisHelpBanner';
+import { useRecentSearches } from '../contexts/RecentSearchesContext';
+import { useLiveSearch } from '../utils/useLiveSearch';
+import { getAutocompleteSuggestions, SEARCH_STATUS } from '../utils/FuseSearch';
+import { preloadCategoryIndex } from '../utils/categoryIndex';
+import { loadPersonalRanking, recordResultOpened } from '../utils/personalRanking';
+import { loadTrendingQuestionIds } from '../utils/trendingQuestions';
+import { useSavedQuestions, getSavedQuestionIds } from '../contexts/SavedQuestionsContext';
+import { detectCrisis } from '../utils/crisisDetection';
 import { logDataError } from '../utils/logError';
 import indexData from '../assets/data/index_data.json';
-import { FALLBACK_QUESTION_IDS } from '../constants/defaultQuestions';
+
+// Empty-state text per search status - a real no-match keeps the default text
+const UNAVAILABLE_MESSAGE = 'Die Suche ist gerade nicht verfügbar. Bitte versuche es später erneut oder stöbere durch die Kategorien.';
+const EMPTY_STATE_MESSAGES = {
+  [SEARCH_STATUS.ONLY_STOPWORDS]: 'Bitte etwas genauer suchen. Wörter wie "wie", "ich" oder "und" allein reichen für die Suche nicht aus.',
+  [SEARCH_STATUS.INVALID_QUERY]: 'Bitte gib einen Suchbegriff ein, zum Beispiel "Schlafen" oder "Wutanfall".',
+  [SEARCH_STATUS.NOT_INITIALIZED]: UNAVAILABLE_MESSAGE,
+  [SEARCH_STATUS.ERROR]: UNAVAILABLE_MESSAGE,
+};
+const NO_RESULTS_MESSAGE = 'Deine Suche war leider nicht erfolgreich. Probiere es mit kürzeren Schlagwörtern oder stöbere durch die Kategorien.';
+
+const questionsById = new Map(indexData.map(question => [question.QuestionIDIndex, question]));
+
+const toDefaultQuestions = (questionIds, sectionTitle) =>
+  questionIds
+    .map(questionId => questionsById.get(questionId))
+    .filter(Boolean)
+    .map((question, index) => ({
+      questionId: question.QuestionIDIndex,
+      questionText: question.QuestionIndex,
+      answer: question.AnswerIndex,
+      imagePosition: question.imagePosition || null,
+      // Section header is rendered above the first card of a section (see QuestionCards)
+      sectionTitle: index === 0 ? sectionTitle : undefined,
+    }));
 
 const SearchScreen = () => {
   const [searchQuery, setSearchQuery] = useState('');
-  const [searchResults, setSearchResults] = useState([]);
-  const [loading, setLoading] = useState(false);
   const [defaultQuestions, setDefaultQuestions] = useState([]);
-  const [lastSubmittedQuery, setLastSubmittedQuery] = useState('');
+  const [selectedCategory, setSelectedCategory] = useState(null);
+  const [showSuggestions, setShowSuggestions] = useState(false);
   const searchInputRef = useRef(null);
-
-  const REMOTE_CONFIG_URL = 'PLACEHOLDER_REMOTE_CONFIG_URL';
+  const { addRecentSearch } = useRecentSearches();
+  const { savedQuestions, isLoaded: savedQuestionsLoaded } = useSavedQuestions();
+  const {
+    results: searchResults,
+    facets,
+    total,
+    status: searchStatus,
+    normalization,
+    resultsQuery,
+    isSearching,
+    searchNow,
+    hasMore,
+    loadMore,
+    spellingSuggestions,
+  } = useLiveSearch(searchQuery, { category: selectedCategory });
 
   // Auto-focus search input on mount
   useEffect(() => {
@@ -46,35 +102,28 @@ const SearchScreen = () => {
     return () => clearTimeout(focusTimeout);
   }, []);
 
-  // Load default questions from remote config (with hardcoded fallback)
+  // Category membership for "kategorie:" filters and personal boosts load in the background
   useEffect(() => {
+    preloadCategoryIndex();
+    loadPersonalRanking();
+  }, []);
+
+  // Blended default questions - computed once per visit, so the list doesn't reshuffle while reading.
+  // Waits for the favorites: "Für dich" would otherwise be built from the empty initial map.
+  useEffect(() => {
+    if (!savedQuestionsLoaded) return;
+
     const loadDefaultQuestions = async () => {
-      let questionIdsToUse = FALLBACK_QUESTION_IDS;
-      
-      try {
-        const response = await fetch(REMOTE_CONFIG_URL);
-        if (response.ok) {
-          const data = await response.json();
-          if (data.defaultQuestionIds && Array.isArray(data.defaultQuestionIds)) {
-            questionIdsToUse = data.defaultQuestionIds;
-          }
-        }
-      } catch (error) {
-        // Remote config failures are non-critical - using fallback
-      }
-      
       try {
-        const filteredQuestions = questionIdsToUse.map(questionId => {
-          const question = indexData.find(q => q.QuestionIDIndex === questionId);
-          return question ? {
-            questionId: question.QuestionIDIndex,
-            questionText: question.QuestionIndex,
-            answer: question.AnswerIndex,
-            imagePosition: question.imagePosition || null,
-          } : null;
-        }).filter(Boolean);
-        
-        setDefaultQuestions(filteredQuestions);
+        const { forYou, popular } = await loadTrendingQuestionIds({
+          savedIds: getSavedQuestionIds(savedQuestions),
+          isKnownId: (questionId) => questionsById.has(questionId),
+        });
+
+        // Section titles only when there is something personal to separate
+        setDefaultQuestions(forYou.length > 0
+          ? [...toDefaultQuestions(forYou, 'Für dich'), ...toDefaultQuestions(popular, 'Beliebt')]
+          : toDefaultQuestions(popular));
       } catch (error) {
         logDataError(error, 'SearchScreen', 'loadDefaultQuestions');
         
@@ -83,49 +132,64 @@ const SearchScreen = () => {
     };
 
     loadDefaultQuestions();
-  }, []);
+  }, [savedQuestionsLoaded]);
 
+  const autocompleteSuggestions = useMemo(
+    () => (showSuggestions ? getAutocompleteSuggestions(searchQuery) : []),
+    [searchQuery, showSuggestions]
+  );
+
+  const hideSuggestions = () => {
+    setShowSuggestions(false);
+  };
+
+  // A new query starts unfiltered - the old facet may not exist for it
   const handleSearchInput = (query) => {
     setSearchQuery(query);
-    if (query === '') {
-      setLastSubmittedQuery('');
-    }
+    setSelectedCategory(null);
+    setShowSuggestions(true);
+  };
+
+  // Selected queries (autocomplete, "Meintest du", history) run without the typing pause
+  const runSelectedQuery = (query) => {
+    hideSuggestions();
+    addRecentSearch(query);
+    searchNow(query);
+    setSearchQuery(query);
+    setSelectedCategory(null);
   };
 
-  // Debounced search with 800ms delay
+  const handleSelectAutocomplete = (suggestion) => {
+    runSelectedQuery(suggestion.text);
+    Keyboard.dismiss();
+  };
+
+  // Submit skips the typing debounce
   const handleSubmitSearch = () => {
+    hideSuggestions();
     if (!searchQuery.trim()) return;
+    addRecentSearch(searchQuery);
+    searchNow();
+  };
 
-    setLoading(true);
-    setLastSubmittedQuery(searchQuery);
-  
-    try {
-      setTimeout(() => {
-        try {
-          const results = searchQuestions(searchQuery);
-          setSearchResults(results);
-        } catch (error) {
-          logDataError(error, 'SearchScreen', 'searchQuestions');
-          
-          setSearchResults([]);
-        } finally {
-          setLoading(false);
-        }
-      }, 800);
-    } catch (outerError) {
-      logDataError(outerError, 'SearchScreen', 'searchTimeout');
-      
-      setLoading(false);
-    }
+  const handleResultOpened = (questionId) => {
+    recordResultOpened(normalization?.normalizedQuery, questionId);
   };
 
   const handleClearSearch = () => {
     setSearchQuery(''); 
-    setSearchResults([]); 
-    setLastSubmittedQuery('');
+    setSelectedCategory(null);
+    hideSuggestions();
     searchInputRef.current?.focus();
   };
 
+  const hasQuery = searchQuery.trim() !== '';
+  // Spinner only until the first result set exists - afterwards old results stay visible
+  const showLoading = hasQuery && isSearching && resultsQuery === '';
+
+  // Checked on every keystroke - independent of debounce, rate limit and search results
+  const crisis = useMemo(() => detectCrisis(searchQuery), [searchQuery]);
+
   return (
     <TouchableWithoutFeedback onPress={Keyboard.dismiss}>
       <View style={styles.container}>
@@ -139,16 +203,25 @@ const SearchScreen = () => {
           />
         </View>
 
+        <SearchSuggestions
+          suggestions={autocompleteSuggestions}
+          onSelect={handleSelectAutocomplete}
+        />
+
+        {!hasQuery && <RecentSearches onSelect={runSelectedQuery} />}
+
+        <CrisisHelpBanner crisis={crisis} />
+
         <View style={styles.headerContainer}>
           <InterText style={styles.headerText}>
-            {lastSubmittedQuery 
-              ? `Deine Suchergebnisse für "${lastSubmittedQuery}"`
+            {hasQuery && resultsQuery
+              ? `Deine Suchergebnisse für "${resultsQuery}"`
               : "Häufig gesuchte Themen"}
           </InterText>
         </View>
 
         <View style={styles.resultsContainer}>
-          {loading ? (
+          {showLoading ? (
             <View style={styles.loadingContainer}>
               <ActivityIndicator 
                 size="large" 
@@ -158,17 +231,47 @@ const SearchScreen = () => {
               />
               <InterText style={styles.loadingText}>Suche läuft...</InterText>
             </View>
-          ) : (searchQuery === '' || lastSubmittedQuery === '') ? (
+          ) : (!hasQuery || resultsQuery === '') ? (
             <QuestionCards color="#f3f3f3" questions={defaultQuestions} />
           ) : searchResults.length > 0 ? (
-            <SearchScreenResults results={searchResults} />
-          ) : (
+            <>
+              <SearchCategoryFacets
+                facets={facets}
+                total={total}
+                selectedCategory={selectedCategory}
+                onSelectCategory={setSelectedCategory}
+              />
+              <SearchScreenResults
+                results={searchResults}
+                hasMore={hasMore}
+                onLoadMore={loadMore}
+                onResultOpened={handleResultOpened}
+              />
+            </>
+          ) : isSearching ? null : (
             <View
               style={styles.noResultsContainer}
               accessibilityLiveRegion="polite"
             >
+              {spellingSuggestions.length > 0 && (
+                <View style={styles.suggestionsContainer}>
+                  <InterText style={styles.suggestionsLabel}>Meintest du:</InterText>
+                  {spellingSuggestions.map(suggestion => (
+                    <TouchableOpacity
+                      key={suggestion}
+                      onPress={() => runSelectedQuery(suggestion)}
+                      style={styles.suggestionButton}
+                      accessibilityRole="button"
+                      accessibilityLabel={`Meintest du: ${suggestion}?`}
+                      accessibilityHint="Tippe doppelt, um danach zu suchen"
+                    >
+                      <InterText style={styles.suggestionText}>{suggestion}?</InterText>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+              )}
               <InterText style={styles.noResultsText}>
-                Deine Suche war leider nicht erfolgreich. Probiere es mit kürzeren Schlagwörtern oder stöbere durch die Kategorien.
+                {EMPTY_STATE_MESSAGES[searchStatus] || NO_RESULTS_MESSAGE}
               </InterText>
             </View>
           )}
@@ -223,6 +326,28 @@ const styles = StyleSheet.create({
     textAlign: 'center',
     marginHorizontal: 20,
   },
+  suggestionsContainer: {
+    alignItems: 'center',
+    marginBottom: 20,
+  },
+  suggestionsLabel: {
+    fontSize: 16,
+    color: '#56626a',
+    marginBottom: 8,
+  },
+  suggestionButton: {
+    borderWidth: 1,
+    borderColor: '#c0897f',
+    borderRadius: 16,
+    paddingHorizontal: 14,
+    paddingVertical: 6,
+    marginBottom: 6,
+  },
+  suggestionText: {
+    fontSize: 16,
+    fontFamily: 'Inter-Bold',
+    color: '#c0897f',
+  },
 });
 
 export default SearchScreen;
\ No newline at end of file
@@ -0,0 +1,168 @@
+/**
+ * ShareFavoritesScreen.jsx
+ *
+ * "Favoriten teilen": shows the saved questions as QR codes for the other parent's phone.
+ *
+ * Features:
+ * - One or more QR codes (see favoritesShareCode.js), paged with Zurück / Weiter
+ * - Works fully offline - no account, no server
+ * - "Code scannen" opens the scanner for the receiving side
+ */
+
+import React, { useMemo, useState } from 'react';
+import { StyleSheet, ScrollView, View, TouchableOpacity } from 'react-native';
+import QRCode from 'react-native-qrcode-svg';
+import InterText from '../components/InterText';
+import Icon from '../components/Icon';
+import { useSavedQuestions, getSavedQuestionIds } from '../contexts/SavedQuestionsContext';
+import { encodeFavoritesShare } from '../utils/favoritesShareCode';
+import { logNavigationError } from '../utils/logError';
+
+const QR_SIZE = 240;
+
+export default function ShareFavoritesScreen({ navigation }) {
+  const { savedQuestions } = useSavedQuestions();
+  const [codeIndex, setCodeIndex] = useState(0);
+
+  const savedIds = useMemo(() => getSavedQuestionIds(savedQuestions), [savedQuestions]);
+  const shareLinks = useMemo(() => encodeFavoritesShare(savedIds), [savedIds]);
+  const currentIndex = Math.min(codeIndex, Math.max(shareLinks.length - 1, 0));
+
+  const openScanner = () => {
+    try {
+      navigation.navigate('ScanFavoritesScreen');
+    } catch (error) {
+      logNavigationError(error, 'ShareFavoritesScreen', 'openScanner');
+    }
+  };
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.contentContainer}>
+      <InterText style={styles.title} accessibilityRole="header">Favoriten teilen</InterText>
+
+      {shareLinks.length === 0 ? (
+        <InterText style={styles.text}>
+          Du hast noch keine Favoriten gespeichert. Tippe bei einer Frage auf das Herz, um sie zu speichern.
+        </InterText>
+      ) : (
+        <>
+          <InterText style={styles.text}>
+            Öffne auf dem anderen Handy in der App "Favoriten teilen" → "Code scannen" und scanne
+            {shareLinks.length > 1 ? ' nacheinander alle Codes.' : ' diesen Code.'} Deine {savedIds.length} Favoriten
+            werden dort ergänzt - nichts wird gelöscht. Dafür ist kein Internet nötig.
+          </InterText>
+
+          <View
+            style={styles.codeContainer}
+            accessible
+            accessibilityLabel={`QR-Code ${currentIndex + 1} von ${shareLinks.length} mit deinen Favoriten`}
+          >
+            <QRCode value={shareLinks[currentIndex]} size={QR_SIZE} ecl="M" />
+          </View>
+
+          {shareLinks.length > 1 && (
+            <View style={styles.pager}>
+              <TouchableOpacity
+                onPress={() => setCodeIndex(currentIndex - 1)}
+                disabled={currentIndex === 0}
+                style={styles.pagerButton}
+                accessibilityRole="button"
+                accessibilityLabel="Vorheriger Code"
+                accessibilityState={{ disabled: currentIndex === 0 }}
+              >
+                <Icon name="chevron-back" size={26} color={currentIndex === 0 ? '#ddd' : '#56626a'} />
+              </TouchableOpacity>
+              <InterText style={styles.pagerText} accessibilityLiveRegion="polite">
+                Code {currentIndex + 1} von {shareLinks.length}
+              </InterText>
+              <TouchableOpacity
+                onPress={() => setCodeIndex(currentIndex + 1)}
+                disabled={currentIndex === shareLinks.length - 1}
+                style={styles.pagerButton}
+                accessibilityRole="button"
+                accessibilityLabel="Nächster Code"
+                accessibilityState={{ disabled: currentIndex === shareLinks.length - 1 }}
+              >
+                <Icon
+                  name="chevron-forward"
+                  size={26}
+                  color={currentIndex === shareLinks.length - 1 ? '#ddd' : '#56626a'}
+                />
+              </TouchableOpacity>
+            </View>
+          )}
+        </>
+      )}
+
+      <TouchableOpacity
+        onPress={openScanner}
+        style={styles.scanButton}
+        accessibilityRole="button"
+        accessibilityHint="Öffnet die Kamera, um die Favoriten eines anderen Handys zu übernehmen"
+      >
+        <Icon name="scan-outline" size={20} color="#fff" />
+        <InterText style={styles.scanButtonText}>Code scannen</InterText>
+      </TouchableOpacity>
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#fff',
+  },
+  contentContainer: {
+    padding: 20,
+  },
+  title: {
+    fontSize: 20,
+    fontFamily: 'Inter-Bold',
+    color: '#56626a',
+    marginBottom: 10,
+  },
+  text: {
+    fontSize: 15,
+    lineHeight: 22,
+    color: '#56626a',
+  },
+  codeContainer: {
+    alignSelf: 'center',
+    marginTop: 20,
+    padding: 16,
+    borderRadius: 10,
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#e5e5e5',
+  },
+  pager: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginTop: 12,
+  },
+  pagerButton: {
+    padding: 8,
+  },
+  pagerText: {
+    fontSize: 15,
+    color: '#56626a',
+    marginHorizontal: 12,
+  },
+  scanButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'center',
+    marginTop: 30,
+    paddingHorizontal: 20,
+    paddingVertical: 12,
+    borderRadius: 10,
+    backgroundColor: '#c0897f',
+  },
+  scanButtonText: {
+    marginLeft: 8,
+    fontSize: 16,
+    fontFamily: 'Inter-Bold',
+    color: '#fff',
+  },
+});
@@ -0,0 +1,316 @@
+/**
+ * evaluateSearch.js
+ *
+ * Offline relevance check for FuseSearch.js against golden queries (headless, no device needed).
+ *
+ * Usage:
+ *   node scripts/evaluateSearch.js                    # evaluate, compare with baseline
+ *   node scripts/evaluateSearch.js --update-baseline  # store current results as new baseline
+ *   node scripts/evaluateSearch.js --suggest          # top results for queries without expected IDs
+ *   node scripts/evaluateSearch.js --fixture          # ranking check against the fixed test corpus
+ *   Options: --k=5  --golden=<file>  --baseline=<file>  --corpus=<file>  --verbose
+ *
+ * Metrics:
+ * - precision@k: relevant hits in the top k / min(k, number of expected IDs)
+ *   (capped, so a query with one expected ID can reach 1.0)
+ * - MRR: mean of 1 / rank of the first relevant hit (0 if none in the result list)
+ *
+ * Queries can carry tags (e.g. "negation") - every tag is also reported on its own.
+ *
+ * Exit code 1 when a query got worse than in the baseline (usable as a release check).
+ *
+ * Default: the app content, loaded through the app's own modules (assets/data/index_data.json,
+ * utils/categoryLoaders.js, constants/defaultQuestions.js).
+ *   Golden queries: scripts/golden/searchQueries.json - expected IDs are curated with --suggest
+ *   Baseline:       scripts/golden/searchBaseline.json
+ *
+ * --fixture: a fixed test corpus instead (scripts/golden/fixture/), so the numbers only move
+ * when the ranking changes - not with content edits. The corpus replaces the app data modules,
+ * category membership comes from its "category" field. --corpus=<file> does the same for
+ * another corpus in the index_data.json format.
+ *
+ * Tooling (not part of the app bundle, app code is ES modules): @babel/register and
+ * babel-preset-expo - the preset needs expo itself, so run it from an installed app checkout:
+ *   npm install --save-dev @babel/register babel-preset-expo
+ */
+
+const Module = require('module');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_K = 5;
+const GOLDEN_DIR = path.join(__dirname, 'golden');
+const FIXTURE_DIR = path.join(GOLDEN_DIR, 'fixture');
+const APP_DATA_PATH = path.join(__dirname, '..', 'assets', 'data', 'index_data.json');
+const SUPPORTED_GOLDEN_VERSION = 1;
+const SCORE_TOLERANCE = 1e-9;
+
+const parseArgs = (argv) => {
+  const args = { k: DEFAULT_K };
+
+  argv.forEach(arg => {
+    const [key, value] = arg.replace(/^--/, '').split('=');
+    if (key === 'k') args.k = Math.max(1, parseInt(value, 10) || DEFAULT_K);
+    else if (key === 'golden') args.golden = path.resolve(value);
+    else if (key === 'baseline') args.baseline = path.resolve(value);
+    else if (key === 'corpus') args.corpus = path.resolve(value);
+    else if (key === 'fixture') args.fixture = true;
+    else if (key === 'update-baseline') args.updateBaseline = true;
+    else if (key === 'suggest') args.suggest = true;
+    else if (key === 'verbose') args.verbose = true;
+    else throw new Error(`Unbekannte Option: ${arg}`);
+  });
+
+  // Golden queries and baseline belong to the corpus their expected IDs refer to
+  const goldenDir = args.fixture ? FIXTURE_DIR : GOLDEN_DIR;
+  return {
+    ...args,
+    golden: args.golden || path.join(goldenDir, 'searchQueries.json'),
+    baseline: args.baseline || path.join(goldenDir, 'searchBaseline.json'),
+    corpus: args.corpus || (args.fixture ? path.join(FIXTURE_DIR, 'searchCorpus.json') : null),
+  };
+};
+
+const readJSON = (filePath) => JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+// { questions: [...] } (golden corpus) or a plain array (index_data.json)
+const loadCorpus = (filePath) => {
+  const corpus = readJSON(filePath);
+  const questions = Array.isArray(corpus) ? corpus : corpus?.questions;
+  if (!Array.isArray(questions) || questions.length === 0) {
+    throw new Error(`${path.basename(filePath)}: erwartet eine Liste von Fragen`);
+  }
+  return questions;
+};
+
+// Same shape as utils/categoryLoaders.js, built from the corpus "category" field
+const createCategoryLoaders = (questions) => {
+  const questionIdsByCategory = new Map();
+  questions.forEach(question => {
+    if (!question.category) return;
+    if (!questionIdsByCategory.has(question.category)) questionIdsByCategory.set(question.category, []);
+    questionIdsByCategory.get(question.category).push(question.QuestionIDIndex);
+  });
+
+  return Object.fromEntries([...questionIdsByCategory.entries()].map(([categoryName, questionIds]) => [
+    categoryName,
+    async () => ({ subcategories: [{ questions: questionIds.map(questionID => ({ questionID })) }] }),
+  ]));
+};
+
+let args;
+let corpusQuestions = null; // null: app content
+try {
+  args = parseArgs(process.argv.slice(2));
+  if (args.corpus) corpusQuestions = loadCorpus(args.corpus);
+  else if (!fs.existsSync(APP_DATA_PATH)) throw new Error('assets/data/index_data.json fehlt - --fixture wertet den Test-Korpus aus');
+} catch (error) {
+  console.error(`Auswertung fehlgeschlagen: ${error.message}`);
+  process.exit(1);
+}
+
+// Node has no native Sentry SDK - errors are printed instead
+const sentryShim = {
+  addBreadcrumb: () => {},
+  captureException: (error) => console.error(`[Sentry] ${error?.message}`),
+};
+
+// Import specifiers as written in utils/FuseSearch.js and utils/categoryIndex.js
+const moduleShims = {
+  '@sentry/react-native': sentryShim,
+  ...(corpusQuestions && {
+    '../assets/data/index_data.json': corpusQuestions,
+    './categoryLoaders': { categoryLoaders: createCategoryLoaders(corpusQuestions) },
+    '../constants/defaultQuestions': { FALLBACK_QUESTION_IDS: [] }, // Autocomplete only - not evaluated
+  }),
+};
+const originalLoad = Module._load;
+Module._load = function load(request, ...loadArgs) {
+  if (Object.prototype.hasOwnProperty.call(moduleShims, request)) return moduleShims[request];
+  return originalLoad.call(this, request, ...loadArgs);
+};
+
+global.__DEV__ = false;
+
+try {
+  require.resolve('babel-preset-expo');
+  require('@babel/register')({
+    presets: ['babel-preset-expo'],
+    only: [/utils/, /constants/],
+  });
+} catch (error) {
+  console.error(`Auswertung fehlgeschlagen: ${error.message.split('\n')[0]}`);
+  console.error('Benötigt @babel/register und babel-preset-expo (mit expo) - siehe Kopfkommentar.');
+  process.exit(1);
+}
+
+const { searchQuestions, resetFuseSearchErrors, getSearchStats } = require('../utils/FuseSearch');
+const { preloadCategoryIndex } = require('../utils/categoryIndex');
+
+const loadGoldenQueries = (filePath) => {
+  const golden = readJSON(filePath);
+  if (golden.version !== SUPPORTED_GOLDEN_VERSION || !Array.isArray(golden.queries)) {
+    throw new Error(`${path.basename(filePath)}: erwartet { version: ${SUPPORTED_GOLDEN_VERSION}, queries: [...] }`);
+  }
+  return golden;
+};
+
+// The app's rate limit (5/s) would throttle a batch run
+const runSearch = (query) => {
+  resetFuseSearchErrors();
+  return searchQuestions(query).map(item => item.QuestionIDIndex);
+};
+
+const evaluateQuery = (resultIds, expectedIds, k) => {
+  const expected = new Set(expectedIds);
+  const relevantInTopK = resultIds.slice(0, k).filter(id => expected.has(id)).length;
+  const firstRelevantIndex = resultIds.findIndex(id => expected.has(id));
+
+  return {
+    precisionAtK: relevantInTopK / Math.min(k, expected.size),
+    reciprocalRank: firstRelevantIndex === -1 ? 0 : 1 / (firstRelevantIndex + 1),
+    firstRelevantRank: firstRelevantIndex === -1 ? null : firstRelevantIndex + 1,
+  };
+};
+
+const mean = (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0);
+
+const formatScore = (value) => value.toFixed(3);
+
+const findRegressions = (evaluations, baseline) => {
+  if (!baseline?.queries) return [];
+
+  return evaluations
+    .map(evaluation => {
+      const previous = baseline.queries[evaluation.query];
+      if (!previous) return null;
+
+      const precisionDrop = previous.precisionAtK - evaluation.precisionAtK;
+      const rankDrop = previous.reciprocalRank - evaluation.reciprocalRank;
+      if (precisionDrop <= SCORE_TOLERANCE && rankDrop <= SCORE_TOLERANCE) return null;
+
+      return { query: evaluation.query, previous, current: evaluation };
+    })
+    .filter(Boolean);
+};
+
+const printSuggestions = (queries, k) => {
+  const open = queries.filter(entry => !entry.expectedIds?.length);
+  if (open.length === 0) {
+    console.log('Alle Golden Queries haben erwartete IDs.');
+    return;
+  }
+
+  console.log(`Top ${k} für ${open.length} Queries ohne erwartete IDs (zum Kuratieren):\n`);
+  open.forEach(entry => {
+    resetFuseSearchErrors();
+    const results = searchQuestions(entry.query).slice(0, k);
+    console.log(`"${entry.query}"`);
+    results.forEach((item, index) => console.log(`  ${index + 1}. ${item.QuestionIDIndex}  ${item.QuestionIndex}`));
+    if (results.length === 0) console.log('  (keine Treffer)');
+  });
+};
+
+const main = async () => {
+  const golden = loadGoldenQueries(args.golden);
+  const corpusName = path.basename(args.corpus || APP_DATA_PATH);
+
+  // Category filters ("kategorie:") need the category index
+  await preloadCategoryIndex();
+
+  if (args.suggest) {
+    printSuggestions(golden.queries, args.k);
+    return 0;
+  }
+
+  const skipped = golden.queries.filter(entry => !entry.expectedIds?.length);
+  const evaluations = golden.queries
+    .filter(entry => entry.expectedIds?.length)
+    .map(entry => ({
+      query: entry.query,
+      tags: entry.tags || [],
+      ...evaluateQuery(runSearch(entry.query), entry.expectedIds, args.k),
+    }));
+
+  if (evaluations.length === 0) {
+    console.error('Keine Golden Queries mit erwarteten IDs - siehe --suggest');
+    return 1;
+  }
+
+  const summary = {
+    queryCount: evaluations.length,
+    k: args.k,
+    corpus: corpusName,
+    precisionAtK: mean(evaluations.map(e => e.precisionAtK)),
+    mrr: mean(evaluations.map(e => e.reciprocalRank)),
+  };
+
+  console.log(`Golden Queries: ${evaluations.length} ausgewertet, ${skipped.length} ohne erwartete IDs übersprungen`);
+  console.log(`Korpus: ${corpusName}, ${getSearchStats().indexSize} Einträge`);
+  console.log(`precision@${args.k}: ${formatScore(summary.precisionAtK)}`);
+  console.log(`MRR:          ${formatScore(summary.mrr)}`);
+
+  const tags = [...new Set(evaluations.flatMap(e => e.tags))].sort();
+  tags.forEach(tag => {
+    const tagged = evaluations.filter(e => e.tags.includes(tag));
+    console.log(`  [${tag}] ${tagged.length} Queries: precision@${args.k} ${formatScore(mean(tagged.map(e => e.precisionAtK)))}, ` +
+      `MRR ${formatScore(mean(tagged.map(e => e.reciprocalRank)))}`);
+  });
+
+  if (args.verbose) {
+    console.log('');
+    evaluations.forEach(e => {
+      console.log(`  P@${args.k} ${formatScore(e.precisionAtK)}  RR ${formatScore(e.reciprocalRank)}  "${e.query}"`);
+    });
+  }
+
+  if (args.updateBaseline) {
+    const baseline = {
+      version: golden.version,
+      createdAt: new Date().toISOString(),
+      summary,
+      queries: Object.fromEntries(evaluations.map(({ query, tags: _tags, ...metrics }) => [query, metrics])),
+    };
+    fs.writeFileSync(args.baseline, `${JSON.stringify(baseline, null, 2)}\n`);
+    console.log(`\nBaseline gespeichert: ${path.relative(process.cwd(), args.baseline)}`);
+    return 0;
+  }
+
+  if (!fs.existsSync(args.baseline)) {
+    console.log('\nKeine Baseline vorhanden - mit --update-baseline anlegen');
+    return 0;
+  }
+
+  const baseline = readJSON(args.baseline);
+  if (baseline.summary?.k !== args.k) {
+    console.log(`\nBaseline wurde mit k=${baseline.summary?.k} erstellt - Vergleich übersprungen`);
+    return 0;
+  }
+  if (baseline.summary?.corpus !== corpusName) {
+    console.log(`\nBaseline wurde mit ${baseline.summary?.corpus} erstellt - Vergleich übersprungen`);
+    return 0;
+  }
+
+  console.log(`\nBaseline (${baseline.createdAt}): precision@${args.k} ${formatScore(baseline.summary.precisionAtK)}, MRR ${formatScore(baseline.summary.mrr)}`);
+
+  const regressions = findRegressions(evaluations, baseline);
+  if (regressions.length === 0) {
+    console.log('Keine Verschlechterungen gegenüber der Baseline.');
+    return 0;
+  }
+
+  console.log(`\n${regressions.length} Verschlechterung(en):`);
+  regressions.forEach(({ query, previous, current }) => {
+    console.log(`  "${query}"`);
+    console.log(`    P@${args.k} ${formatScore(previous.precisionAtK)} → ${formatScore(current.precisionAtK)}, ` +
+      `erster Treffer ${previous.firstRelevantRank ?? '-'} → ${current.firstRelevantRank ?? '-'}`);
+  });
+  return 1;
+};
+
+main()
+  .then(exitCode => process.exit(exitCode))
+  .catch(error => {
+    console.error(`Auswertung fehlgeschlagen: ${error.message}`);
+    process.exit(1);
+  });
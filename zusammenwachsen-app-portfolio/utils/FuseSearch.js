@@ -5,23 +5,61 @@
  * 
  * Key features:
  * - Stopword filtering (preserves negations like "nicht", "kein")
- * - Weighted search (synonyms > questions > concepts)
+ * - Global synonym dictionary & stopword overrides maintained by editors (see searchDictionary.js)
+ * - Negation-aware ranking ("will nicht schlafen" prefers entries with the same negation)
+ * - Optional on-device personalization (questions the user opened for a query, see personalRanking.js)
+ * - German compound splitting & stemming (see germanLanguage.js)
+ * - Transliteration-aware matching ("muede" finds "müde", "Strasse" finds "Straße")
+ * - Weighted search (synonyms > questions > concepts > answer bodies)
+ * - Full-text search over answers via inverted index (see answerIndex.js)
  * - Rate limiting (5 requests/second)
  * - Security limits (query length, word count, XSS prevention)
  * - Exact match prioritization
+ * - Optional match ranges for highlighting (see searchHighlight.js)
+ * - Structured queries: "phrases", -exclusions, kategorie:Name (see queryParser.js)
+ * - Category facets with per-category hit counts
+ * - Status API: reason code, total hits and applied normalization (searchWithStatus)
+ * - Paging beyond the first 25 results with a stable ranking (searchWithStatus offset/limit)
+ * - "Meintest du …?" spelling suggestions for zero-result queries (see spellingSuggestions.js)
+ * - Autocomplete from a sorted prefix index (see autocompleteIndex.js)
+ * - Topic lookups for the seasonal default questions (findQuestionIdsForTopics)
+ * - Shared query normalization for local filters (normalizeQuery)
  * - Error deduplication (prevents Sentry spam)
  * 
  * Search strategy:
- * 1. Remove stopwords but keep important negations
- * 2. Search across weighted fields (synonyms weighted highest)
- * 3. Prioritize exact matches in results
- * 4. Return max 25 results
+ * 0. Parse structured syntax (falls back to plain text when malformed)
+ * 1. Remove stopwords but keep important negations, fold umlauts/ß
+ * 2. Create query variants (as typed, stemmed, compounds split, dictionary synonyms)
+ * 3. Search all variants across weighted fields (synonyms weighted highest)
+ * 4. Search answer bodies (inverted index), ranked below title hits
+ * 5. Merge variants and sources (best score per entry wins)
+ * 6. Apply phrase, exclusion and category filters, re-rank negated queries,
+ *    boost questions the user opened for this query before
+ * 7. Prioritize exact matches in results
+ * 8. Return max 25 results per page (later pages reuse the cached ranking)
  */
 
 import Fuse from 'fuse.js';
 import stopwords from 'stopwords-de';
 import rawData from '../assets/data/index_data.json';
+import dictionaryData from '../assets/data/search_dictionary.json';
 import { logDataError } from './logError';
+import { buildVocabulary, createQueryVariants, normalizeSearchText, tokenize } from './germanLanguage';
+import { getHighlightTerms, findTermRanges } from './searchHighlight';
+import { createAnswerIndex, searchAnswerIndex } from './answerIndex';
+import { parseSearchQuery } from './queryParser';
+import { preloadCategoryIndex, isCategoryIndexReady, getCategoryForQuestion } from './categoryIndex';
+import { createSpellingIndex, suggestCorrections, hasTitleMatch } from './spellingSuggestions';
+import { createAutocompleteIndex, findAutocompleteSuggestions } from './autocompleteIndex';
+import { findNegatedStems, createNegationProfiler, applyNegationRanking, isSearchedNegationWord } from './negationAnalysis';
+import {
+  EMPTY_SEARCH_DICTIONARY,
+  createStopwordSet,
+  createSearchDictionary,
+  expandQueryWithDictionary,
+} from './searchDictionary';
+import { CATEGORY_NAMES } from '../constants/categories';
+import { FALLBACK_QUESTION_IDS } from '../constants/defaultQuestions';
 
 const SECURITY_LIMITS = {
   MAX_QUERY_LENGTH: 300,
@@ -35,20 +73,50 @@ const SECURITY_LIMITS = {
 const reportedErrors = new Set();
 const MAX_ERROR_CACHE_SIZE = 50;
 
+const MAX_RESULTS = 25; // Page size
+
+// Variants other than the typed query rank slightly lower
+const VARIANT_SCORE_PENALTY = 0.05;
+
+// Body-only hits map onto 0.45..0.75 - below typical title hits (threshold 0.4)
+const ANSWER_BASE_SCORE = 0.45;
+const ANSWER_SCORE_RANGE = 0.3;
+
+// Topic picks (findQuestionIdsForTopics) need a clearly matching title
+const TOPIC_MATCH_MAX_SCORE = 0.25;
+
 // Rate limiting state
 let lastRequestTime = 0;
 let requestCount = 0;
 
+// Stopwords in folded spelling too, so "fuer" is filtered like "für" (dictionary allow/deny applied)
+const stopwordSet = createStopwordSet(stopwords, dictionaryData);
+
 // Prepare search index
 let indexData;
 let fuse;
+let vocabulary;
+let answerIndex = null; // Built lazily on first search (keeps app start fast)
+let spellingIndex = null; // Built lazily on first zero-result search
+let autocompleteIndex = null; // Built lazily on first keystroke
+
+// Recent full rankings - later pages are sliced from them, so the order can't shift between pages.
+// Keyed by the raw query: phrases, exclusions and kategorie: filters are part of it,
+// the facet category only narrows a ranking and doesn't need its own entry.
+const MAX_CACHED_RANKINGS = 5;
+const rankingCache = new Map(); // query -> ranking (insertion order = least recently used first)
+
+// normalizedQuery -> Map questionId -> score boost (set by personalRanking.js, absent in Node scripts)
+let personalBoostProvider = null;
 
 try {
+  // QuestionIndex stays untouched for display - its folded copy is searched instead
   indexData = rawData.map(entry => ({
     ...entry,
-    SynonymQuestionsIndex: (entry.SynonymQuestionsIndex || []).map(q => q.toLowerCase()),
+    SynonymQuestionsIndex: (entry.SynonymQuestionsIndex || []).map(normalizeSearchText),
     QuestionIndex: entry.QuestionIndex,
-    SynonymConceptsIndex: (entry.SynonymConceptsIndex || []).map(c => c.toLowerCase())
+    QuestionSearchIndex: normalizeSearchText(entry.QuestionIndex),
+    SynonymConceptsIndex: (entry.SynonymConceptsIndex || []).map(normalizeSearchText)
   }));
 } catch (error) {
   logDataError(error, 'FuseSearch', 'indexDataPreprocessing');
@@ -59,7 +127,7 @@ try {
 const fuseOptions = {
   keys: [
     { name: 'SynonymQuestionsIndex', weight: 1.0 },
-    { name: 'QuestionIndex', weight: 0.4 },
+    { name: 'QuestionSearchIndex', weight: 0.4 },
     { name: 'SynonymConceptsIndex', weight: 0.2 }
   ],
   threshold: 0.4,
@@ -70,6 +138,15 @@ const fuseOptions = {
   ignoreLocation: true
 };
 
+const SEARCHED_FIELDS = fuseOptions.keys.map(key => key.name);
+
+try {
+  vocabulary = buildVocabulary(indexData, SEARCHED_FIELDS);
+} catch (error) {
+  logDataError(error, 'FuseSearch', 'vocabularyBuild');
+  vocabulary = null;
+}
+
 try {
   fuse = new Fuse(indexData, fuseOptions);
 } catch (error) {
@@ -116,6 +193,30 @@ const checkRateLimit = () => {
   return requestCount <= SECURITY_LIMITS.MAX_REQUESTS_PER_SECOND;
 };
 
+// Peek without counting: ms until the next search would pass the rate limit
+export const getRateLimitDelay = () => {
+  const elapsed = Date.now() - lastRequestTime;
+  if (elapsed > 1000 || requestCount < SECURITY_LIMITS.MAX_REQUESTS_PER_SECOND) {
+    return 0;
+  }
+  return 1000 - elapsed + 1;
+};
+
+// Negations change the search intent - never dropped as stopwords
+const isIgnoredStopword = (word) => stopwordSet.has(word) && !isSearchedNegationWord(word);
+
+// Global synonyms/expansions - terms lose their stopwords like queries do
+let searchDictionary;
+try {
+  searchDictionary = createSearchDictionary(dictionaryData, { isStopword: isIgnoredStopword });
+  if (__DEV__ && searchDictionary.skippedEntries > 0) {
+    console.log(`[FuseSearch] search_dictionary.json: ${searchDictionary.skippedEntries} fehlerhafte Einträge übersprungen`);
+  }
+} catch (error) {
+  logDataError(error, 'FuseSearch', 'searchDictionaryLoad');
+  searchDictionary = EMPTY_SEARCH_DICTIONARY;
+}
+
 // Remove stopwords but preserve negations (important for search intent)
 const preprocessQuery = (query) => {
   const errorKey = 'FuseSearch-preprocessQuery';
@@ -126,10 +227,8 @@ const preprocessQuery = (query) => {
     const validatedQuery = validateQuery(query);
     if (!validatedQuery) return '';
     
-    const importantWords = ["nicht", "kein", "keine", "ohne", "nein"];
-    let words = validatedQuery.toLowerCase().split(/\s+/);
-    words = words.filter(word => !stopwords.includes(word) || importantWords.includes(word));
-    return words.join(' ');
+    const words = validatedQuery.toLowerCase().split(/\s+/);
+    return normalizeSearchText(words.filter(word => !isIgnoredStopword(word)).join(' '));
   } catch (error) {
     // Deduplicate error reports
     if (!reportedErrors.has(errorKey)) {
@@ -141,20 +240,208 @@ const preprocessQuery = (query) => {
     }
     
     const fallbackQuery = validateQuery(query);
-    return fallbackQuery?.toLowerCase() || '';
+    return normalizeSearchText(fallbackQuery);
   }
 };
 
 /**
- * Main search function
- * Returns max 25 results with exact matches prioritized
+ * The search's query normalization (validated, stopwords removed, folded) for
+ * local filters that should behave like the search - e.g. the saved questions filter.
+ * Does not count against the rate limit.
  */
-export const searchQuestions = (query) => {
+export const normalizeQuery = (query) => preprocessQuery(query);
+
+// Negated words per entry (titles + synonyms), cached per entry
+const getNegationProfile = createNegationProfiler(SEARCHED_FIELDS, stopwordSet);
+
+const getAnswerIndex = () => {
+  if (!answerIndex) {
+    try {
+      answerIndex = createAnswerIndex(indexData, stopwordSet);
+    } catch (error) {
+      logDataError(error, 'FuseSearch', 'answerIndexBuild');
+      answerIndex = createAnswerIndex([], stopwordSet);
+    }
+  }
+  return answerIndex;
+};
+
+// Search every query variant (titles via Fuse, bodies via inverted index), best score per entry wins
+const searchVariants = (variants) => {
+  const bestByItem = new Map();
+
+  const addResult = (item, score, matchSource) => {
+    const current = bestByItem.get(item);
+    if (!current || score < current.score) {
+      bestByItem.set(item, { item, score, matchSource });
+    }
+  };
+
+  variants.forEach((variant, variantIndex) => {
+    const variantResults = fuse.search(variant);
+    if (!Array.isArray(variantResults)) return;
+
+    const penalty = variantIndex === 0 ? 0 : VARIANT_SCORE_PENALTY;
+    variantResults.forEach(result => {
+      addResult(result.item, (result.score ?? 1) + penalty, 'title');
+    });
+  });
+
+  variants.forEach(variant => {
+    searchAnswerIndex(getAnswerIndex(), variant).forEach(({ docIndex, relevance }) => {
+      const item = indexData[docIndex];
+      if (!item) return;
+      addResult(item, ANSWER_BASE_SCORE + ANSWER_SCORE_RANGE * (1 - relevance), 'body');
+    });
+  });
+
+  return [...bestByItem.values()].sort((a, b) => a.score - b.score);
+};
+
+// Folded word sequence of all searchable fields, cached per entry (phrase/exclusion checks)
+const searchableTextCache = new WeakMap();
+
+const getSearchableText = (item) => {
+  let text = searchableTextCache.get(item);
+  if (text === undefined) {
+    text = tokenize([
+      ...(item.SynonymQuestionsIndex || []),
+      item.QuestionIndex,
+      ...(item.SynonymConceptsIndex || []),
+      item.AnswerIndex,
+    ].filter(Boolean).join(' ')).join(' ');
+    searchableTextCache.set(item, text);
+  }
+  return text;
+};
+
+const matchesCategories = (item, categories) =>
+  categories.includes(getCategoryForQuestion(item.QuestionIDIndex));
+
+// Filters for the structured parts of a query (no-op for plain queries)
+const applyQueryFilters = (results, parsedQuery) => {
+  if (!parsedQuery.isStructured) return results;
+
+  const phrases = parsedQuery.phrases
+    .map(phrase => tokenize(phrase).join(' '))
+    .filter(Boolean);
+  const exclusionTerms = getHighlightTerms(parsedQuery.exclusions.map(normalizeSearchText));
+  // Category membership loads async - until then, filtering is skipped rather than emptying results
+  const filterByCategory = parsedQuery.categories.length > 0 && isCategoryIndexReady();
+
+  return results.filter(({ item }) => {
+    if (filterByCategory && !matchesCategories(item, parsedQuery.categories)) return false;
+
+    if (phrases.length === 0 && exclusionTerms.length === 0) return true;
+
+    const searchableText = getSearchableText(item);
+    if (phrases.some(phrase => !searchableText.includes(phrase))) return false;
+    if (exclusionTerms.length > 0 && findTermRanges(searchableText, exclusionTerms).length > 0) return false;
+    return true;
+  });
+};
+
+// "kategorie:Kita" without search text lists the whole category
+const listCategories = (categories) => {
+  if (!isCategoryIndexReady()) return [];
+  return indexData
+    .filter(item => matchesCategories(item, categories))
+    .map(item => ({ item, score: 0, matchSource: 'title' }));
+};
+
+// Attaches match source, title match ranges + terms for answer highlighting (copies, index stays untouched)
+const withMatches = (rankedResults, variants) => {
+  const highlightTerms = getHighlightTerms(variants);
+
+  return rankedResults.map(({ item, matchSource }) => ({
+    ...item,
+    matchSource,
+    category: getCategoryForQuestion(item.QuestionIDIndex),
+    matches: {
+      QuestionIndex: findTermRanges(item.QuestionIndex, highlightTerms),
+    },
+    highlightTerms,
+  }));
+};
+
+export const setPersonalBoostProvider = (provider) => {
+  personalBoostProvider = typeof provider === 'function' ? provider : null;
+  // Cached rankings keep their old boosts - pages of a shown list must not shift. New searches use the provider.
+};
+
+const applyPersonalBoosts = (results, normalizedQuery) => {
+  if (!personalBoostProvider) return results;
+
+  try {
+    const boosts = personalBoostProvider(normalizedQuery);
+    if (!boosts || boosts.size === 0) return results;
+
+    return results
+      .map(result => {
+        const boost = boosts.get(result.item.QuestionIDIndex);
+        return boost ? { ...result, score: result.score - boost } : result;
+      })
+      .sort((a, b) => a.score - b.score);
+  } catch (error) {
+    // Silent fail - personalization is non-critical
+    return results;
+  }
+};
+
+/**
+ * Why a search returned what it returned.
+ * Only OK carries results - everything else is an empty result list.
+ */
+export const SEARCH_STATUS = {
+  OK: 'ok',
+  NO_RESULTS: 'no_results',             // Real query, nothing matched
+  ONLY_STOPWORDS: 'only_stopwords',     // "wie kann ich" - nothing left to search for
+  INVALID_QUERY: 'invalid_query',       // Empty, not a string or nothing searchable after cleanup
+  RATE_LIMITED: 'rate_limited',         // Throttled by checkRateLimit() - retry later
+  NOT_INITIALIZED: 'not_initialized',   // Fuse index unavailable
+  ERROR: 'error',
+};
+
+const EMPTY_NORMALIZATION = {
+  normalizedQuery: '',
+  variants: [],
+  removedStopwords: [],
+  phrases: [],
+  exclusions: [],
+  categories: [],
+};
+
+const emptyRanking = (status, normalization = EMPTY_NORMALIZATION) => ({
+  status,
+  ranked: [],
+  variants: [],
+  normalization,
+});
+
+// One entry per question, first (best ranked) occurrence wins
+const dedupeByQuestionId = (ranked) => {
+  const seen = new Set();
+  return ranked.filter(({ item }) => {
+    if (seen.has(item.QuestionIDIndex)) return false;
+    seen.add(item.QuestionIDIndex);
+    return true;
+  });
+};
+
+/**
+ * Core search: full ranked result list (no cap), exact match first.
+ * Counts against the rate limit - call once per user search.
+ * skipRateLimit is only for internal follow-up searches (topic lookups, pages of a query
+ * whose cached ranking was evicted - the user search was already counted).
+ *
+ * Returns { status, ranked, variants, normalization }
+ */
+const rankQuery = (query, { skipRateLimit = false } = {}) => {
   const errorKey = `FuseSearch-searchQuestions-${typeof query}`;
   
   try {
-    if (!checkRateLimit()) {
-      return []; // Silent throttling
+    if (!skipRateLimit && !checkRateLimit()) {
+      return emptyRanking(SEARCH_STATUS.RATE_LIMITED);
     }
 
     if (!query || typeof query !== 'string') {
@@ -165,11 +452,41 @@ export const searchQuestions = (query) => {
         }
         reportedErrors.add('FuseSearch-invalidQuery');
       }
-      return [];
+      return emptyRanking(SEARCH_STATUS.INVALID_QUERY);
     }
 
-    const optimizedQuery = preprocessQuery(query);
-    if (!optimizedQuery) return [];
+    if (!isCategoryIndexReady()) {
+      preloadCategoryIndex();
+    }
+
+    const parsedQuery = parseSearchQuery(validateQuery(query) || '');
+    const optimizedQuery = preprocessQuery(parsedQuery.text);
+    const normalization = {
+      ...EMPTY_NORMALIZATION,
+      normalizedQuery: optimizedQuery,
+      removedStopwords: parsedQuery.text.toLowerCase().split(/\s+/).filter(isIgnoredStopword),
+      phrases: parsedQuery.phrases,
+      exclusions: parsedQuery.exclusions,
+      categories: parsedQuery.categories,
+    };
+
+    if (!optimizedQuery) {
+      if (parsedQuery.categories.length === 0) {
+        // Words were typed, but all of them were stopwords
+        return emptyRanking(
+          normalization.removedStopwords.length > 0 ? SEARCH_STATUS.ONLY_STOPWORDS : SEARCH_STATUS.INVALID_QUERY,
+          normalization
+        );
+      }
+
+      const ranked = applyQueryFilters(listCategories(parsedQuery.categories), parsedQuery);
+      return {
+        status: ranked.length > 0 ? SEARCH_STATUS.OK : SEARCH_STATUS.NO_RESULTS,
+        ranked,
+        variants: [],
+        normalization,
+      };
+    }
 
     if (!fuse || typeof fuse.search !== 'function') {
       if (!reportedErrors.has('FuseSearch-fuseNotInitialized')) {
@@ -180,10 +497,23 @@ export const searchQuestions = (query) => {
         reportedErrors.add('FuseSearch-fuseNotInitialized');
         logDataError(new Error('[SEARCH] Fuse.js instance not properly initialized'), 'FuseSearch', 'searchQuestions');
       }
-      return [];
+      return emptyRanking(SEARCH_STATUS.NOT_INITIALIZED, normalization);
     }
 
-    const results = fuse.search(optimizedQuery);
+    const variants = [...new Set([
+      ...createQueryVariants(optimizedQuery, vocabulary),
+      ...expandQueryWithDictionary(optimizedQuery, searchDictionary),
+    ])];
+    const searchedVariants = variants.length > 0 ? variants : [optimizedQuery];
+    const results = applyPersonalBoosts(
+      applyNegationRanking(
+        applyQueryFilters(searchVariants(searchedVariants), parsedQuery),
+        // Full query text - negations dropped from the Fuse query ("isst nichts") still have a scope
+        findNegatedStems(parsedQuery.text, stopwordSet),
+        getNegationProfile
+      ),
+      optimizedQuery
+    );
     
     if (!Array.isArray(results)) {
       if (!reportedErrors.has('FuseSearch-invalidResults')) {
@@ -193,7 +523,7 @@ export const searchQuestions = (query) => {
         }
         reportedErrors.add('FuseSearch-invalidResults');
       }
-      return [];
+      return emptyRanking(SEARCH_STATUS.ERROR, normalization);
     }
 
     // Prioritize exact matches (better UX for precise queries)
@@ -203,17 +533,16 @@ export const searchQuestions = (query) => {
       )
     );
     
-    if (exactMatch) {
-      return [
-        exactMatch.item,
-        ...results
-          .filter(r => r.item !== exactMatch.item)
-          .slice(0, 24)
-          .map(r => r.item)
-      ];
-    }
-    
-    return results.slice(0, 25).map(res => res.item);
+    const ranked = dedupeByQuestionId(exactMatch
+      ? [exactMatch, ...results.filter(r => r.item !== exactMatch.item)]
+      : results);
+
+    return {
+      status: ranked.length > 0 ? SEARCH_STATUS.OK : SEARCH_STATUS.NO_RESULTS,
+      ranked,
+      variants: searchedVariants,
+      normalization: { ...normalization, variants: searchedVariants },
+    };
     
   } catch (error) {
     // Deduplicate errors by query type
@@ -226,6 +555,212 @@ export const searchQuestions = (query) => {
       logDataError(error, 'FuseSearch', 'searchQuestions');
     }
     
+    return emptyRanking(SEARCH_STATUS.ERROR);
+  }
+};
+
+const getCachedRanking = (query) => {
+  const ranking = rankingCache.get(query);
+  if (ranking) {
+    // Refresh the position - the shown query is evicted last
+    rankingCache.delete(query);
+    rankingCache.set(query, ranking);
+  }
+  return ranking;
+};
+
+const cacheRanking = (query, ranking) => {
+  rankingCache.delete(query);
+  rankingCache.set(query, ranking);
+  if (rankingCache.size > MAX_CACHED_RANKINGS) {
+    rankingCache.delete(rankingCache.keys().next().value);
+  }
+};
+
+const narrowToCategory = (ranked, category) =>
+  category ? ranked.filter(({ item }) => getCategoryForQuestion(item.QuestionIDIndex) === category) : ranked;
+
+const toResultItems = (ranked, variants, includeMatches) =>
+  includeMatches ? withMatches(ranked, variants) : ranked.map(res => res.item);
+
+// Hit counts per category over the full (uncapped) result list, largest first
+const buildCategoryFacets = (ranked) => {
+  const counts = new Map();
+
+  ranked.forEach(({ item }) => {
+    const category = getCategoryForQuestion(item.QuestionIDIndex);
+    if (category) {
+      counts.set(category, (counts.get(category) || 0) + 1);
+    }
+  });
+
+  return [...counts.entries()]
+    .map(([category, count]) => ({ category, count }))
+    .sort((a, b) => b.count - a.count || CATEGORY_NAMES.indexOf(a.category) - CATEGORY_NAMES.indexOf(b.category));
+};
+
+/**
+ * Main search function
+ * Returns max 25 results with exact matches prioritized
+ *
+ * Options:
+ * - includeMatches: adds `matchSource` ('title' | 'body'), `category`,
+ *   `matches.QuestionIndex` ranges and `highlightTerms` per result
+ * - category: only results from this category name
+ */
+export const searchQuestions = (query, { includeMatches = false, category = null } = {}) => {
+  const { ranked, variants } = rankQuery(query);
+  return toResultItems(narrowToCategory(ranked, category).slice(0, MAX_RESULTS), variants, includeMatches);
+};
+
+/**
+ * Search with status, category facets, paging and the applied query normalization.
+ * Facets always count the unnarrowed result list, so counts stay stable
+ * while the user switches between categories.
+ *
+ * Paging: offset 0 runs the search (counts against the rate limit),
+ * offset > 0 slices the cached ranking of the same query - stable order, no duplicates.
+ * reuseRanking: a facet switch narrows the cached ranking instead of searching again.
+ * If the ranking was evicted meanwhile, both re-rank without the rate limit
+ * (the query was already counted), so a page fetch is never throttled.
+ *
+ * Returns {
+ *   status,          // SEARCH_STATUS value - why the list is (not) empty
+ *   results,         // one page (max `limit`), narrowed to `category`
+ *   facets,          // [{ category, count }]
+ *   total,           // all hits before paging and narrowing
+ *   hasMore,         // more pages available for this query/category
+ *   normalization,   // { normalizedQuery, variants, removedStopwords, phrases, exclusions, categories }
+ * }
+ */
+export const searchWithStatus = (query, {
+  includeMatches = false,
+  category = null,
+  offset = 0,
+  limit = MAX_RESULTS,
+  reuseRanking = false,
+} = {}) => {
+  const start = Math.max(0, offset || 0);
+  const pageSize = Math.max(1, Math.min(limit || MAX_RESULTS, MAX_RESULTS));
+
+  const isFollowUp = start > 0 || reuseRanking;
+  const ranking = (isFollowUp && getCachedRanking(query)) || rankQuery(query, { skipRateLimit: isFollowUp });
+
+  if (ranking.status !== SEARCH_STATUS.RATE_LIMITED) {
+    cacheRanking(query, ranking);
+  }
+
+  const { status, ranked, variants, normalization } = ranking;
+  const narrowed = narrowToCategory(ranked, category);
+
+  return {
+    status,
+    results: toResultItems(narrowed.slice(start, start + pageSize), variants, includeMatches),
+    facets: buildCategoryFacets(ranked),
+    total: ranked.length,
+    hasMore: start + pageSize < narrowed.length,
+    normalization,
+  };
+};
+
+// Search with category facets (see searchWithStatus for the full response)
+export const searchQuestionsWithFacets = (query, options = {}) => {
+  const { results, facets, total } = searchWithStatus(query, options);
+  return { results, facets, total };
+};
+
+const getSpellingIndex = () => {
+  if (!spellingIndex) {
+    // Raw entries: suggestions keep their umlauts ("müde", not "muede")
+    spellingIndex = createSpellingIndex(rawData, ['SynonymQuestionsIndex', 'QuestionIndex', 'SynonymConceptsIndex']);
+  }
+  return spellingIndex;
+};
+
+const isKnownWord = (word) =>
+  stopwordSet.has(word) || !!vocabulary?.words?.has(word);
+
+// All search words of a suggestion (phrase words included) in one title - cheap pre-check,
+// a candidate without it can't be worth a full search
+const hasSuggestionMatch = (suggestion) =>
+  hasTitleMatch(parseSearchQuery(suggestion).text, getSpellingIndex(), {
+    isStopword: (word) => stopwordSet.has(word),
+  });
+
+// Same path as the results (exclusions, negation, "kategorie:", active category)
+const hasSuggestionResults = (suggestion, category) =>
+  hasSuggestionMatch(suggestion) &&
+  narrowToCategory(rankQuery(suggestion, { skipRateLimit: true }).ranked, category).length > 0;
+
+/**
+ * "Meintest du …?" - corrected queries for a search without results.
+ * Every suggestion is searched like the query itself, narrowed to `category`,
+ * so tapping one finds something in the list the user is looking at. A title index
+ * lookup skips candidates first, so only a few of them are searched.
+ * Call once per zero-result search, not during render.
+ * Does not count against the rate limit (the original search already did).
+ *
+ * Returns up to 3 query strings (may be empty)
+ */
+export const getSpellingSuggestions = (query, { category = null } = {}) => {
+  try {
+    const validQuery = validateQuery(query);
+    if (!validQuery) return [];
+
+    return suggestCorrections(validQuery, getSpellingIndex(), {
+      isKnownWord,
+      hasResults: (suggestion) => hasSuggestionResults(suggestion, category),
+    });
+  } catch (error) {
+    logDataError(error, 'FuseSearch', 'getSpellingSuggestions');
+    return [];
+  }
+};
+
+const getAutocompleteIndex = () => {
+  if (!autocompleteIndex) {
+    // Frequently searched topics rank first
+    autocompleteIndex = createAutocompleteIndex(rawData, { popularIds: FALLBACK_QUESTION_IDS });
+  }
+  return autocompleteIndex;
+};
+
+/**
+ * Autocomplete suggestions for the typed text (prefix match on titles and synonym phrases).
+ * Cheap enough for every keystroke, does not count against the rate limit.
+ *
+ * Returns [{ text, questionId }] (max 5)
+ */
+export const getAutocompleteSuggestions = (input) => {
+  try {
+    const validInput = validateQuery(input);
+    if (!validInput) return [];
+
+    return findAutocompleteSuggestions(getAutocompleteIndex(), validInput);
+  } catch (error) {
+    logDataError(error, 'FuseSearch', 'getAutocompleteSuggestions');
+    return [];
+  }
+};
+
+/**
+ * Best matching question per topic term (e.g. seasonal picks), close title matches only -
+ * a term without a fitting impulse yields nothing instead of a fuzzy guess.
+ * Does not count against the rate limit.
+ *
+ * Returns question IDs in term order (deduplicated)
+ */
+export const findQuestionIdsForTopics = (terms) => {
+  try {
+    const questionIds = (terms || []).map(term => {
+      const best = rankQuery(term, { skipRateLimit: true }).ranked[0];
+      return best && best.matchSource === 'title' && best.score <= TOPIC_MATCH_MAX_SCORE
+        ? best.item.QuestionIDIndex
+        : null;
+    });
+    return [...new Set(questionIds.filter(Boolean))];
+  } catch (error) {
+    logDataError(error, 'FuseSearch', 'findQuestionIdsForTopics');
     return [];
   }
 };
@@ -251,8 +786,12 @@ export const getSearchStats = () => {
   try {
     return {
       indexSize: indexData?.length || 0,
+      vocabularySize: vocabulary?.words?.size || 0,
+      answerIndexTerms: answerIndex?.postings?.size || 0,
       fuseInitialized: !!fuse && typeof fuse.search === 'function',
       stopwordsCount: stopwords?.length || 0,
+      dictionaryVersion: searchDictionary?.version ?? null,
+      dictionaryRules: searchDictionary?.rules?.length || 0,
       hasRawData: !!rawData,
       reportedErrorsCount: reportedErrors.size,
       maxErrorCacheSize: MAX_ERROR_CACHE_SIZE,
@@ -266,6 +805,8 @@ export const getSearchStats = () => {
   } catch (error) {
     return {
       indexSize: 0,
+      vocabularySize: 0,
+      answerIndexTerms: 0,
       fuseInitialized: false,
       stopwordsCount: 0,
       hasRawData: false,
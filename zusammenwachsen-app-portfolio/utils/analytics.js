@@ -18,6 +18,8 @@
  * - donation_button_clicked
  */
 
+import { isValidQuestionId } from '../constants/questionIds';
+
 const ANALYTICS_CONFIG = {
   endpoint: 'PLACEHOLDER_ANALYTICS_ENDPOINT',
   enabled: true,
@@ -94,10 +96,8 @@ class DSGVOAnalytics {
     if (['popup_shown', 'donation_banner_shown', 'donation_button_clicked'].includes(eventData.event_type)) {
       return eventData.question_id === undefined;
     } else {
-      // Question events must have valid questionId (format: q[0-9a-zA-Z]{1,10})
-      return eventData.question_id && 
-             typeof eventData.question_id === 'string' &&
-             /^q[0-9a-zA-Z]{1,10}$/.test(eventData.question_id);
+      // Question events must have valid questionId (see constants/questionIds.js)
+      return isValidQuestionId(eventData.question_id);
     }
   }
 
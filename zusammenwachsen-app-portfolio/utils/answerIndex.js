@@ -0,0 +1,139 @@
+/**
+ * answerIndex.js
+ *
+ * Tokenized inverted index over answer bodies (AnswerIndex).
+ *
+ * Why not Fuse: fuzzy-matching ~2,500 whole markdown bodies per keystroke
+ * is far too slow on low-end devices. An inverted index answers a query
+ * with a few Map lookups instead.
+ *
+ * Key features:
+ * - Markdown stripped before tokenizing (link targets are question IDs, not content)
+ * - Terms stored as stems, folded spelling (same normalization as the Fuse fields)
+ * - Prefix lookup for longer terms ("zahnputz" finds "zahnputzlied")
+ * - BM25 scoring, relevance normalized to 0..1 per query
+ */
+
+import { tokenize, stemWord } from './germanLanguage';
+
+const MIN_PREFIX_LENGTH = 5;
+const MAX_PREFIX_EXPANSIONS = 20;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const stripMarkdown = (markdown) => {
+  if (!markdown || typeof markdown !== 'string') return '';
+  return markdown
+    .replace(/\]\([^)]*\)/g, ' ') // link targets
+    .replace(/[*_#>`~[\]]/g, ' ');
+};
+
+/**
+ * Builds the index from entries.
+ * stopwords: Set of folded stopwords to skip (they carry no meaning in bodies)
+ */
+export const createAnswerIndex = (entries, stopwords = new Set()) => {
+  const postings = new Map(); // stem -> Map(docIndex -> term frequency)
+  const docLengths = [];
+
+  (entries || []).forEach((entry, docIndex) => {
+    const words = tokenize(stripMarkdown(entry?.AnswerIndex)).filter(word => !stopwords.has(word));
+    docLengths[docIndex] = words.length;
+
+    words.forEach(word => {
+      const stem = stemWord(word);
+      let docs = postings.get(stem);
+      if (!docs) {
+        docs = new Map();
+        postings.set(stem, docs);
+      }
+      docs.set(docIndex, (docs.get(docIndex) || 0) + 1);
+    });
+  });
+
+  const totalLength = docLengths.reduce((sum, length) => sum + length, 0);
+
+  return {
+    stopwords,
+    postings,
+    sortedTerms: [...postings.keys()].sort(),
+    docCount: docLengths.length,
+    docLengths,
+    averageLength: docLengths.length > 0 ? totalLength / docLengths.length : 0,
+  };
+};
+
+// Binary search for all indexed terms starting with prefix
+const findPrefixTerms = (index, prefix) => {
+  const { sortedTerms } = index;
+  let low = 0;
+  let high = sortedTerms.length;
+
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (sortedTerms[middle] < prefix) low = middle + 1;
+    else high = middle;
+  }
+
+  const terms = [];
+  for (let i = low; i < sortedTerms.length && terms.length < MAX_PREFIX_EXPANSIONS; i++) {
+    if (!sortedTerms[i].startsWith(prefix)) break;
+    terms.push(sortedTerms[i]);
+  }
+  return terms;
+};
+
+const scoreTerm = (index, docs, docIndex) => {
+  const frequency = docs.get(docIndex);
+  const idf = Math.log(1 + (index.docCount - docs.size + 0.5) / (docs.size + 0.5));
+  const lengthRatio = index.averageLength > 0 ? index.docLengths[docIndex] / index.averageLength : 1;
+  return idf * (frequency * (BM25_K1 + 1)) / (frequency + BM25_K1 * (1 - BM25_B + BM25_B * lengthRatio));
+};
+
+/**
+ * Searches the index with a preprocessed (folded) query.
+ * Every query term must occur in the body. Returns [{ docIndex, relevance }]
+ * sorted best first, relevance normalized to 0..1 (1 = best hit of this query).
+ */
+export const searchAnswerIndex = (index, query) => {
+  if (!index || !query) return [];
+
+  // Same stopwords as the index, otherwise kept negations ("nicht") could never match
+  const queryStems = [...new Set(tokenize(query)
+    .filter(word => !index.stopwords.has(word))
+    .map(stemWord))];
+  if (queryStems.length === 0) return [];
+
+  const scores = new Map();
+  const matchedTerms = new Map();
+
+  queryStems.forEach(stem => {
+    const terms = stem.length >= MIN_PREFIX_LENGTH
+      ? findPrefixTerms(index, stem)
+      : (index.postings.has(stem) ? [stem] : []);
+
+    terms.forEach(term => {
+      const docs = index.postings.get(term);
+      docs.forEach((frequency, docIndex) => {
+        scores.set(docIndex, (scores.get(docIndex) || 0) + scoreTerm(index, docs, docIndex));
+
+        let matched = matchedTerms.get(docIndex);
+        if (!matched) {
+          matched = new Set();
+          matchedTerms.set(docIndex, matched);
+        }
+        matched.add(stem);
+      });
+    });
+  });
+
+  const hits = [...scores.entries()]
+    .filter(([docIndex]) => matchedTerms.get(docIndex).size === queryStems.length)
+    .sort((a, b) => b[1] - a[1]);
+
+  const bestScore = hits.length > 0 ? hits[0][1] : 0;
+  return hits.map(([docIndex, score]) => ({
+    docIndex,
+    relevance: bestScore > 0 ? score / bestScore : 0,
+  }));
+};
@@ -0,0 +1,135 @@
+/**
+ * autocompleteIndex.js
+ *
+ * Prefix index for search suggestions under the SearchBar.
+ *
+ * Built once from question titles and SynonymQuestionsIndex phrases:
+ * - Keys are folded (see germanLanguage.normalizeSearchText) and sorted,
+ *   so a lookup is a binary search + short scan - no Fuse run per keystroke
+ * - Every phrase is also reachable from its later words ("schlafen" → "Kind will nicht schlafen")
+ * - Priority is precomputed at build time:
+ *   popular question > title > synonym, phrase start > later word, shorter first
+ * - Results per prefix are memoized (repeated keystrokes, backspace)
+ */
+
+import { normalizeSearchText } from './germanLanguage';
+
+const MIN_PREFIX_LENGTH = 2;
+const DEFAULT_LIMIT = 5;
+const MAX_CACHED_PREFIXES = 200;
+
+const PRIORITY = {
+  TITLE: 2,
+  SYNONYM: 1,
+  POPULAR_BONUS: 3,
+  LATER_WORD_PENALTY: 1.5,
+};
+
+const toKey = (text) => normalizeSearchText(text).replace(/\s+/g, ' ').trim();
+
+// First index whose key is >= prefix
+const lowerBound = (keys, prefix) => {
+  let low = 0;
+  let high = keys.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (keys[mid].key < prefix) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+};
+
+/**
+ * Builds the index.
+ * popularIds: question IDs that rank first (e.g. the "Häufig gesuchte Themen")
+ *
+ * Returns { phrases, keys, cache }
+ */
+export const createAutocompleteIndex = (entries, { popularIds = [] } = {}) => {
+  const popular = new Set(popularIds);
+  const phrasesByKey = new Map(); // folded phrase -> { text, questionId, priority }
+
+  const addPhrase = (text, questionId, basePriority) => {
+    if (!text || typeof text !== 'string') return;
+
+    const key = toKey(text);
+    if (key.length < MIN_PREFIX_LENGTH) return;
+
+    const priority = basePriority + (popular.has(questionId) ? PRIORITY.POPULAR_BONUS : 0);
+    const existing = phrasesByKey.get(key);
+    if (!existing || existing.priority < priority) {
+      phrasesByKey.set(key, { text: text.trim(), questionId, priority });
+    }
+  };
+
+  (entries || []).forEach(entry => {
+    addPhrase(entry?.QuestionIndex, entry?.QuestionIDIndex, PRIORITY.TITLE);
+    (entry?.SynonymQuestionsIndex || []).forEach(synonym =>
+      addPhrase(synonym, entry?.QuestionIDIndex, PRIORITY.SYNONYM)
+    );
+  });
+
+  const phrases = [];
+  const keys = [];
+
+  phrasesByKey.forEach((phrase, key) => {
+    const phraseId = phrases.length;
+    phrases.push(phrase);
+
+    // One key per word start, later words rank below the phrase start
+    let offset = 0;
+    key.split(' ').forEach((word, wordIndex) => {
+      if (word.length >= MIN_PREFIX_LENGTH) {
+        keys.push({
+          key: key.slice(offset),
+          phraseId,
+          priority: phrase.priority - (wordIndex > 0 ? PRIORITY.LATER_WORD_PENALTY : 0),
+        });
+      }
+      offset += word.length + 1;
+    });
+  });
+
+  keys.sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+
+  return { phrases, keys, cache: new Map() };
+};
+
+/**
+ * Suggestions for the typed text, best first.
+ * Returns [{ text, questionId }] (empty below 2 characters)
+ */
+export const findAutocompleteSuggestions = (index, input, limit = DEFAULT_LIMIT) => {
+  if (!index || typeof input !== 'string') return [];
+
+  const prefix = toKey(input);
+  if (prefix.length < MIN_PREFIX_LENGTH) return [];
+
+  const cacheKey = `${limit}|${prefix}`;
+  if (index.cache.has(cacheKey)) return index.cache.get(cacheKey);
+
+  // Best key per phrase (a phrase can match at its start and at a later word)
+  const bestByPhrase = new Map();
+  for (let i = lowerBound(index.keys, prefix); i < index.keys.length; i++) {
+    const { key, phraseId, priority } = index.keys[i];
+    if (!key.startsWith(prefix)) break;
+    if ((bestByPhrase.get(phraseId) ?? -Infinity) < priority) {
+      bestByPhrase.set(phraseId, priority);
+    }
+  }
+
+  const suggestions = [...bestByPhrase.entries()]
+    .map(([phraseId, priority]) => ({ phrase: index.phrases[phraseId], priority }))
+    // Nothing to complete if the phrase is exactly what was typed
+    .filter(({ phrase }) => toKey(phrase.text) !== prefix)
+    .sort((a, b) => b.priority - a.priority || a.phrase.text.length - b.phrase.text.length)
+    .slice(0, limit)
+    .map(({ phrase }) => ({ text: phrase.text, questionId: phrase.questionId }));
+
+  if (index.cache.size >= MAX_CACHED_PREFIXES) {
+    index.cache.delete(index.cache.keys().next().value);
+  }
+  index.cache.set(cacheKey, suggestions);
+
+  return suggestions;
+};
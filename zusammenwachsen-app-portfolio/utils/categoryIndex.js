@@ -0,0 +1,68 @@
+/**
+ * categoryIndex.js
+ *
+ * Question ID → category name lookup for search filters.
+ *
+ * index_data.json entries carry no category, so membership is collected
+ * once from the category data files (via categoryLoaders) and cached.
+ *
+ * Loading is async and non-blocking: until it finishes, getCategoryForQuestion()
+ * returns null and search simply skips category filtering.
+ */
+
+import { categoryLoaders } from './categoryLoaders';
+import { logDataError } from './logError';
+import { CATEGORY_NAMES } from '../constants/categories';
+
+let questionCategories = null; // Map questionId -> category name
+let loadingPromise = null;
+
+const loadCategoryIndex = async () => {
+  const index = new Map();
+
+  await Promise.all(CATEGORY_NAMES.map(async (categoryName) => {
+    try {
+      const loadCategory = categoryLoaders[categoryName];
+      if (!loadCategory) return;
+
+      const dataModule = await loadCategory();
+      const data = dataModule.default ?? dataModule;
+
+      (data.subcategories || []).forEach(subCategory => {
+        (subCategory.questions || []).forEach(question => {
+          // First category wins for questions listed in several categories
+          if (question?.questionID && !index.has(question.questionID)) {
+            index.set(question.questionID, categoryName);
+          }
+        });
+      });
+    } catch (error) {
+      // One missing category shouldn't block the others
+      logDataError(error, 'categoryIndex', 'loadCategory');
+    }
+  }));
+
+  return index;
+};
+
+// Safe to call repeatedly - loads once
+export const preloadCategoryIndex = () => {
+  if (!loadingPromise) {
+    loadingPromise = loadCategoryIndex()
+      .then(index => {
+        questionCategories = index;
+        return index;
+      })
+      .catch(error => {
+        logDataError(error, 'categoryIndex', 'preloadCategoryIndex');
+        loadingPromise = null; // Allow a retry
+        return null;
+      });
+  }
+  return loadingPromise;
+};
+
+export const isCategoryIndexReady = () => questionCategories !== null;
+
+export const getCategoryForQuestion = (questionId) =>
+  questionCategories?.get(questionId) || null;
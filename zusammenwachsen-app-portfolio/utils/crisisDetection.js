@@ -0,0 +1,75 @@
+/**
+ * crisisDetection.js
+ *
+ * Curated, offline classifier for search queries that point to an acute crisis
+ * (self-harm, suicide, violence, abuse). Runs in front of the Fuse search, so
+ * SearchScreen can show help resources before any result.
+ *
+ * Privacy:
+ * - Pure function, no storage, no network
+ * - Query text is never logged (not even on errors) - keep it that way
+ *
+ * Matching (on folded text, see germanLanguage.normalizeSearchText):
+ * - Keywords match whole words or word beginnings ("suizid" → "suizidgedanken")
+ * - Phrases match as consecutive words ("verletzt sich selbst")
+ * - Exclusions win over keywords ("gewaltfreie Kommunikation" is no crisis)
+ * - Negations are ignored on purpose - "nicht mehr leben" must still match
+ *
+ * Lists are deliberately small and conservative: a false alarm costs a banner,
+ * a miss may cost much more. Keep entries folded (ä → ae, ß → ss).
+ */
+
+import { normalizeSearchText } from './germanLanguage';
+
+export const CRISIS_TOPICS = {
+  SELF_HARM: 'self_harm',
+  VIOLENCE: 'violence',
+};
+
+// Ordered by severity - the first matching topic wins
+const CRISIS_RULES = [
+  {
+    topic: CRISIS_TOPICS.SELF_HARM,
+    keywords: ['suizid', 'selbstmord', 'selbsttoetung', 'selbstverletz', 'lebensmued', 'ritzen', 'ritzt', 'umbringen'],
+    phrases: [
+      'verletzt sich selbst', 'verletzt sich', 'sich selbst verletzen', 'sich selbst weh',
+      'will sterben', 'moechte sterben', 'nicht mehr leben', 'sich umbringen', 'bringt sich um',
+    ],
+    categories: ['Besondere Lebenssituation', 'Sicherheit & Prävention'],
+  },
+  {
+    topic: CRISIS_TOPICS.VIOLENCE,
+    keywords: ['gewalt', 'missbrauch', 'missbraucht', 'misshandl', 'misshandelt', 'vergewaltig'],
+    phrases: ['haeusliche gewalt', 'schlaegt mich', 'schlaegt mein kind', 'sexuelle uebergriffe'],
+    exclusions: ['gewaltfrei', 'gewaltlos'],
+    categories: ['Sicherheit & Prävention', 'Besondere Lebenssituation'],
+  },
+];
+
+// Compares padded word sequences, so "sich" never matches inside "sicher"
+const matchesPhrase = (wordSequence, phrase) => wordSequence.includes(` ${phrase} `);
+
+const matchesRule = (words, wordSequence, rule) => {
+  const isExcluded = (word) => (rule.exclusions || []).some(excluded => word.startsWith(excluded));
+  const hasKeyword = words.some(word =>
+    !isExcluded(word) && rule.keywords.some(keyword => word.startsWith(keyword))
+  );
+  return hasKeyword || rule.phrases.some(phrase => matchesPhrase(wordSequence, phrase));
+};
+
+/**
+ * Classifies a raw query.
+ * Returns { topic, categories } for a crisis query, otherwise null.
+ */
+export const detectCrisis = (query) => {
+  if (!query || typeof query !== 'string') return null;
+
+  // All words, short ones included ("bringt sich um")
+  const words = normalizeSearchText(query).split(/[^a-z0-9]+/).filter(Boolean);
+  if (words.length === 0) return null;
+
+  const wordSequence = ` ${words.join(' ')} `;
+  const rule = CRISIS_RULES.find(candidate => matchesRule(words, wordSequence, candidate));
+
+  return rule ? { topic: rule.topic, categories: rule.categories } : null;
+};
@@ -0,0 +1,168 @@
+/**
+ * favoritesShareCode.js
+ *
+ * Co-parent sharing: saved question IDs as one or more QR codes, no account or server.
+ *
+ * Each QR code holds a deep link (same app:// scheme as question links):
+ *   app://favorites/{batchId}/{part}-{total}/{payload}
+ * Scanning with the system camera opens the app; the in-app scanner reads the same links.
+ * Every part is decodable on its own, batchId keeps parts of one share together.
+ *
+ * Payload (version 1), kept short so a code stays easy to scan:
+ * - '1d' + numeric IDs (q12, q15, q40): sorted, base36 deltas joined by '.' → "1dc.3.p"
+ * - '1r' + any other IDs: suffixes after the 'q' joined by '.'
+ *
+ * Receiving side: shared IDs are only added (mergeSharedFavorites) - nothing is removed,
+ * IDs unknown to this app version are reported, not kept.
+ *
+ * Everything here is pure and works offline.
+ */
+
+import { isValidQuestionId } from '../constants/questionIds';
+
+const LINK_PREFIX = 'app://favorites/';
+const PAYLOAD_VERSION = '1';
+const MODE_DELTA = 'd';
+const MODE_RAW = 'r';
+
+// Comfortable scanning distance on older phone cameras
+export const MAX_PAYLOAD_LENGTH = 250;
+
+const NUMERIC_ID_PATTERN = /^q[1-9][0-9]{0,9}$/; // Leading zeros would get lost in the deltas
+const LINK_PATTERN = /^app:\/\/\/?favorites\/([0-9a-z]{4})\/(\d{1,3})-(\d{1,3})\/([0-9a-zA-Z.]+)$/;
+
+export const createShareBatchId = () => Math.random().toString(36).slice(2, 6).padEnd(4, '0');
+
+const encodeGroup = (questionIds, mode) => {
+  if (mode === MODE_RAW) {
+    return `${PAYLOAD_VERSION}${MODE_RAW}${questionIds.map(id => id.slice(1)).join('.')}`;
+  }
+
+  let previous = 0;
+  const deltas = questionIds.map(id => {
+    const value = Number(id.slice(1));
+    const delta = value - previous;
+    previous = value;
+    return delta.toString(36);
+  });
+  return `${PAYLOAD_VERSION}${MODE_DELTA}${deltas.join('.')}`;
+};
+
+const decodePayload = (payload) => {
+  if (payload[0] !== PAYLOAD_VERSION || payload.length < 3) return null;
+
+  const tokens = payload.slice(2).split('.');
+  if (payload[1] === MODE_RAW) {
+    return tokens.map(token => `q${token}`);
+  }
+  if (payload[1] === MODE_DELTA) {
+    if (!tokens.every(token => /^[0-9a-z]+$/.test(token))) return null;
+
+    let value = 0;
+    return tokens.map(token => {
+      value += parseInt(token, 36);
+      return `q${value}`;
+    });
+  }
+  return null;
+};
+
+/**
+ * Encodes question IDs as share links, one per QR code.
+ * Invalid IDs are skipped. Returns [] when there is nothing to share.
+ */
+export const encodeFavoritesShare = (questionIds, { batchId = createShareBatchId(), maxPayloadLength = MAX_PAYLOAD_LENGTH } = {}) => {
+  const validIds = [...new Set(questionIds.filter(isValidQuestionId))];
+  if (validIds.length === 0) return [];
+
+  const mode = validIds.every(id => NUMERIC_ID_PATTERN.test(id)) ? MODE_DELTA : MODE_RAW;
+  const sortedIds = mode === MODE_DELTA
+    ? validIds.sort((a, b) => Number(a.slice(1)) - Number(b.slice(1)))
+    : validIds.sort();
+
+  // Greedy: fill each part up to the payload limit
+  const groups = [];
+  let currentGroup = [];
+  sortedIds.forEach(id => {
+    if (currentGroup.length > 0 && encodeGroup([...currentGroup, id], mode).length > maxPayloadLength) {
+      groups.push(currentGroup);
+      currentGroup = [];
+    }
+    currentGroup.push(id);
+  });
+  groups.push(currentGroup);
+
+  return groups.map((group, index) =>
+    `${LINK_PREFIX}${batchId}/${index + 1}-${groups.length}/${encodeGroup(group, mode)}`
+  );
+};
+
+export const isFavoritesShareLink = (url) => typeof url === 'string' && url.startsWith(LINK_PREFIX.slice(0, -1));
+
+/**
+ * Parses one scanned link.
+ * Returns { batchId, part, total, questionIds } or null for anything that isn't a valid share part.
+ */
+export const parseFavoritesShareLink = (url) => {
+  const match = typeof url === 'string' ? url.trim().match(LINK_PATTERN) : null;
+  if (!match) return null;
+
+  const [, batchId, partString, totalString, payload] = match;
+  const part = Number(partString);
+  const total = Number(totalString);
+  if (part < 1 || part > total) return null;
+
+  const questionIds = decodePayload(payload);
+  if (!questionIds || !questionIds.every(isValidQuestionId)) return null;
+
+  return { batchId, part, total, questionIds };
+};
+
+/**
+ * Adds a scanned part to the parts collected so far.
+ * A part of a different share starts over. Returns the new collection state:
+ * { batchId, total, parts: { [part]: questionIds } }
+ */
+export const addSharePart = (collected, sharePart) => {
+  const isSameBatch = collected
+    && collected.batchId === sharePart.batchId
+    && collected.total === sharePart.total;
+  const parts = isSameBatch ? collected.parts : {};
+
+  return {
+    batchId: sharePart.batchId,
+    total: sharePart.total,
+    parts: { ...parts, [sharePart.part]: sharePart.questionIds },
+  };
+};
+
+export const isShareComplete = (collected) =>
+  !!collected && Object.keys(collected.parts).length === collected.total;
+
+export const getSharedQuestionIds = (collected) =>
+  collected ? [...new Set(Object.values(collected.parts).flat())] : [];
+
+/**
+ * Adds shared IDs to the savedQuestions map. New favorites get consecutive savedAt
+ * timestamps from `now`, so they appear as just saved (and land in the default collection).
+ * Returns { savedQuestions, addedCount, existingCount, unknownIds }.
+ */
+export const mergeSharedFavorites = (savedQuestions, sharedIds, { isKnownId, now = Date.now() }) => {
+  const merged = { ...savedQuestions };
+  const unknownIds = [];
+  let addedCount = 0;
+  let existingCount = 0;
+
+  sharedIds.forEach(questionId => {
+    if (!isKnownId(questionId)) {
+      unknownIds.push(questionId);
+    } else if (merged[questionId]) {
+      existingCount++;
+    } else {
+      merged[questionId] = now + addedCount;
+      addedCount++;
+    }
+  });
+
+  return { savedQuestions: merged, addedCount, existingCount, unknownIds };
+};
@@ -0,0 +1,257 @@
+/**
+ * favoritesTransfer.js
+ *
+ * Portable favorites file (new phone, reinstall): favorites, collections and notes
+ * as versioned JSON. File handling and UI live in useFavoritesTransfer.
+ *
+ * File format:
+ * { format: 'zusammenwachsen-favorites', version: 1, exportedAt,
+ *   savedQuestions: { [questionId]: savedAt },
+ *   collections: [{ id, name, questionIds, createdAt }],
+ *   notes: { [questionId]: { text, updatedAt } } }
+ *
+ * Import:
+ * - validateTransferFile(): user-facing error message for anything unusable
+ * - planImport(): merged or replaced state + report, nothing is stored yet
+ * - Question IDs unknown to this app version are never kept - they end up in report.unknownIds
+ *
+ * Merge rules:
+ * - Favorites: union, the local save date wins
+ * - Collections: same name (or the default collection) → question lists are combined
+ * - Notes: different texts for the same question are a conflict - the newer note is kept
+ * - New favorites that end up in no collection go into the default collection (like a quick save)
+ */
+
+import {
+  DEFAULT_COLLECTION_ID,
+  DEFAULT_COLLECTION_NAME,
+  MAX_COLLECTIONS,
+  MAX_COLLECTION_NAME_LENGTH,
+  createCollectionId,
+} from '../constants/collections';
+import { MAX_NOTE_LENGTH } from '../constants/notes';
+
+export const TRANSFER_FORMAT = 'zusammenwachsen-favorites';
+export const TRANSFER_VERSION = 1;
+
+const MAX_LISTED_UNKNOWN_IDS = 10;
+
+export const IMPORT_MODE = {
+  MERGE: 'merge',
+  REPLACE: 'replace',
+};
+
+const isPlainObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+const sameName = (a, b) => a.toLocaleLowerCase('de') === b.toLocaleLowerCase('de');
+
+export const createTransferData = ({ savedQuestions, collections, notes }, exportedAt = new Date()) => ({
+  format: TRANSFER_FORMAT,
+  version: TRANSFER_VERSION,
+  exportedAt: exportedAt.toISOString(),
+  savedQuestions,
+  collections,
+  notes,
+});
+
+// Date-stamped file name, e.g. zusammenwachsen-favoriten-2026-10-19.json
+export const getTransferFileName = (date = new Date()) =>
+  `zusammenwachsen-favoriten-${date.toISOString().slice(0, 10)}.json`;
+
+/**
+ * Parses and validates an import file.
+ * Returns { data } with normalized content or { error } with a message for the user.
+ */
+export const validateTransferFile = (fileContent) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(fileContent);
+  } catch (error) {
+    return { error: 'Die Datei ist keine gültige Favoriten-Datei.' };
+  }
+
+  if (!isPlainObject(parsed) || parsed.format !== TRANSFER_FORMAT) {
+    return { error: 'Die Datei ist keine Favoriten-Datei der Zusammenwachsen App.' };
+  }
+  if (typeof parsed.version !== 'number' || parsed.version > TRANSFER_VERSION) {
+    return { error: 'Die Datei stammt aus einer neueren App-Version. Bitte aktualisiere die App und versuche es erneut.' };
+  }
+  if (!isPlainObject(parsed.savedQuestions)
+    || (parsed.collections !== undefined && !Array.isArray(parsed.collections))
+    || (parsed.notes !== undefined && !isPlainObject(parsed.notes))) {
+    return { error: 'Die Datei ist beschädigt und kann nicht importiert werden.' };
+  }
+
+  // Legacy `true` values (old favorites) keep their order behind real timestamps
+  let legacyOrder = 0;
+  const savedQuestions = Object.fromEntries(
+    Object.entries(parsed.savedQuestions)
+      .filter(([, value]) => value === true || (typeof value === 'number' && value > 0))
+      .map(([questionId, value]) => [questionId, typeof value === 'number' ? value : ++legacyOrder])
+  );
+
+  const collections = (parsed.collections || [])
+    .filter(collection => typeof collection?.id === 'string'
+      && typeof collection?.name === 'string'
+      && collection.name.trim() !== '')
+    .map(collection => ({
+      id: collection.id,
+      name: collection.name.trim().substring(0, MAX_COLLECTION_NAME_LENGTH),
+      questionIds: [...new Set((Array.isArray(collection.questionIds) ? collection.questionIds : [])
+        .filter(id => typeof id === 'string'))],
+      createdAt: typeof collection.createdAt === 'number' ? collection.createdAt : 0,
+    }));
+
+  const notes = Object.fromEntries(
+    Object.entries(parsed.notes || {})
+      .filter(([, note]) => typeof note?.text === 'string' && note.text.trim() !== '')
+      .map(([questionId, note]) => [questionId, {
+        text: note.text.trim().substring(0, MAX_NOTE_LENGTH),
+        updatedAt: typeof note.updatedAt === 'number' ? note.updatedAt : 0,
+      }])
+  );
+
+  return { data: { savedQuestions, collections, notes } };
+};
+
+/**
+ * Computes the state after an import.
+ * current: { savedQuestions, collections, notes } as stored on this device
+ * isKnownId(questionId): false for IDs this app version doesn't have
+ * Returns { savedQuestions, collections, notes, report }.
+ */
+export const planImport = (imported, current, { mode = IMPORT_MODE.MERGE, isKnownId }) => {
+  const unknownIds = new Set();
+  const keepKnown = (questionId) => {
+    if (isKnownId(questionId)) return true;
+    unknownIds.add(questionId);
+    return false;
+  };
+
+  const report = {
+    mode,
+    addedFavorites: 0,
+    existingFavorites: 0,
+    addedCollections: 0,
+    mergedCollections: 0,
+    skippedCollections: 0,
+    addedNotes: 0,
+    noteConflicts: [], // [{ questionId, kept: 'local' | 'imported' }]
+    unknownIds: [],
+  };
+
+  const isReplace = mode === IMPORT_MODE.REPLACE;
+  const addedQuestionIds = [];
+  const savedQuestions = isReplace ? {} : { ...current.savedQuestions };
+  const notes = isReplace ? {} : { ...current.notes };
+  const collections = isReplace ? [] : current.collections.map(collection => ({
+    ...collection,
+    questionIds: [...collection.questionIds],
+  }));
+
+  Object.entries(imported.savedQuestions).forEach(([questionId, savedAt]) => {
+    if (!keepKnown(questionId)) return;
+
+    if (savedQuestions[questionId]) {
+      report.existingFavorites++;
+    } else {
+      savedQuestions[questionId] = savedAt;
+      addedQuestionIds.push(questionId);
+      report.addedFavorites++;
+    }
+  });
+
+  Object.entries(imported.notes).forEach(([questionId, note]) => {
+    if (!keepKnown(questionId)) return;
+
+    const localNote = notes[questionId];
+    if (!localNote) {
+      notes[questionId] = note;
+      report.addedNotes++;
+    } else if (localNote.text !== note.text) {
+      const keepImported = note.updatedAt > localNote.updatedAt;
+      if (keepImported) notes[questionId] = note;
+      report.noteConflicts.push({ questionId, kept: keepImported ? 'imported' : 'local' });
+    }
+  });
+
+  imported.collections.forEach(importedCollection => {
+    // Only favorites can be in a collection
+    const questionIds = importedCollection.questionIds.filter(questionId =>
+      keepKnown(questionId) && savedQuestions[questionId]
+    );
+
+    const match = collections.find(collection =>
+      importedCollection.id === DEFAULT_COLLECTION_ID
+        ? collection.id === DEFAULT_COLLECTION_ID
+        : sameName(collection.name, importedCollection.name)
+    );
+
+    if (match) {
+      match.questionIds = [...new Set([...match.questionIds, ...questionIds])];
+      report.mergedCollections++;
+    } else if (collections.length >= MAX_COLLECTIONS) {
+      report.skippedCollections++;
+    } else {
+      collections.push({
+        ...importedCollection,
+        id: isReplace || importedCollection.id === DEFAULT_COLLECTION_ID ? importedCollection.id : createCollectionId(),
+        questionIds,
+      });
+      report.addedCollections++;
+    }
+  });
+
+  const collectedIds = new Set(collections.flatMap(collection => collection.questionIds));
+  const uncollectedIds = addedQuestionIds.filter(questionId => !collectedIds.has(questionId));
+  if (uncollectedIds.length > 0) {
+    const defaultCollection = collections.find(collection => collection.id === DEFAULT_COLLECTION_ID);
+    if (defaultCollection) {
+      defaultCollection.questionIds.push(...uncollectedIds);
+    } else {
+      collections.unshift({ id: DEFAULT_COLLECTION_ID, name: DEFAULT_COLLECTION_NAME, questionIds: uncollectedIds, createdAt: Date.now() });
+    }
+  }
+
+  report.unknownIds = [...unknownIds].sort();
+
+  return { savedQuestions, collections, notes, report };
+};
+
+// Summary for the alert after an import
+export const formatImportReport = (report) => {
+  const lines = [
+    `${report.addedFavorites} neue Favoriten übernommen`,
+  ];
+
+  if (report.existingFavorites > 0) {
+    lines.push(`${report.existingFavorites} Favoriten waren schon gespeichert`);
+  }
+  if (report.addedCollections + report.mergedCollections > 0) {
+    lines.push(`${report.addedCollections} Sammlungen neu, ${report.mergedCollections} zusammengeführt`);
+  }
+  if (report.skippedCollections > 0) {
+    lines.push(`${report.skippedCollections} Sammlungen übersprungen (zu viele Sammlungen)`);
+  }
+  if (report.addedNotes > 0) {
+    lines.push(`${report.addedNotes} Notizen übernommen`);
+  }
+  if (report.noteConflicts.length > 0) {
+    const keptImported = report.noteConflicts.filter(conflict => conflict.kept === 'imported').length;
+    lines.push(
+      `${report.noteConflicts.length} Notizen gab es auf beiden Geräten mit anderem Text - ` +
+      `jeweils die neuere wurde behalten (${keptImported} aus der Datei, ` +
+      `${report.noteConflicts.length - keptImported} von diesem Gerät)`
+    );
+  }
+  if (report.unknownIds.length > 0) {
+    const listedIds = report.unknownIds.slice(0, MAX_LISTED_UNKNOWN_IDS).join(', ');
+    const moreHint = report.unknownIds.length > MAX_LISTED_UNKNOWN_IDS ? ', …' : '';
+    lines.push(
+      `${report.unknownIds.length} Fragen gibt es in dieser App-Version nicht und wurden nicht übernommen ` +
+      `(${listedIds}${moreHint})`
+    );
+  }
+
+  return lines.join('\n');
+};
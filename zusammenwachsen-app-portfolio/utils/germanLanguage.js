@@ -0,0 +1,185 @@
+/**
+ * germanLanguage.js
+ *
+ * German linguistic normalization for the offline search.
+ *
+ * Key features:
+ * - Transliteration folding (ä/ae, ö/oe, ü/ue, ß/ss → one canonical form)
+ * - Vocabulary built from the search index (word frequencies + stem lookup)
+ * - Light suffix stemming ("Wutanfälle" → "wutanfall")
+ * - Compound splitting against the vocabulary ("Schlafprobleme" → "schlaf probleme")
+ * - Query variant generation for multi-pass search
+ *
+ * Stems are internal lookup keys only - they are never shown to the user
+ * and never passed to Fuse directly. Variants always use surface forms
+ * that actually occur in the index.
+ *
+ * Everything is compared in folded spelling, so index and query always
+ * meet in the same canonical form.
+ */
+
+const MIN_WORD_LENGTH = 3;
+const MIN_STEM_LENGTH = 4;
+const MIN_COMPOUND_LENGTH = 6;
+const MAX_COMPOUND_PARTS = 4;
+const MAX_QUERY_VARIANTS = 3;
+
+// Ordered longest first so "ungen" wins over "en"
+const STEM_SUFFIXES = ['ungen', 'heiten', 'keiten', 'ung', 'heit', 'keit', 'ern', 'em', 'en', 'er', 'es', 'e', 'n', 's'];
+
+// Canonical form is the ASCII transliteration ("müde" and "muede" → "muede")
+const TRANSLITERATIONS = [
+  [/ä/g, 'ae'],
+  [/ö/g, 'oe'],
+  [/ü/g, 'ue'],
+  [/ß/g, 'ss'],
+];
+
+// Words whose ae/oe/ue is not an umlaut spelling ("zuerst", "aktuelle", "poetisch") - prefixes
+const NON_UMLAUT_WORD_PATTERN = /^(zuerst|zueinander|aktuell|eventuell|individuell|sexuell|virtuell|visuell|manuell|duell|poet|poesie)/;
+
+// Linking elements between compound parts ("Geburtstag-s-feier", "Kinder-n-...")
+const LINKING_ELEMENTS = ['s', 'es', 'n', 'en', 'er', 'e'];
+
+export const foldTransliterations = (text) => {
+  if (!text || typeof text !== 'string') return '';
+  return TRANSLITERATIONS.reduce((folded, [pattern, replacement]) => folded.replace(pattern, replacement), text);
+};
+
+// Lowercase + fold - applied to index fields at build time and to every query
+export const normalizeSearchText = (text) => {
+  if (!text || typeof text !== 'string') return '';
+  return foldTransliterations(text.toLowerCase());
+};
+
+export const tokenize = (text) => {
+  if (!text || typeof text !== 'string') return [];
+  return normalizeSearchText(text)
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length >= MIN_WORD_LENGTH);
+};
+
+// Umlaut digraphs collapse to the base vowel so plural umlauts share a stem
+// ("wutanfaelle" and "wutanfall" → "wutanfall"). "ue" after a, e or q is a diphthong
+// or "qu" instead ("bauen", "feuer", "neue", "quelle") and stays.
+const foldUmlautDigraphs = (word) => {
+  if (NON_UMLAUT_WORD_PATTERN.test(word)) return word;
+
+  return word
+    .replace(/ae/g, 'a')
+    .replace(/oe/g, 'o')
+    .replace(/([aeq]?)ue/g, (match, preceding) => (preceding ? match : 'u'));
+};
+
+export const stemWord = (word) => {
+  if (!word) return '';
+
+  const stem = foldUmlautDigraphs(normalizeSearchText(word));
+
+  for (const suffix of STEM_SUFFIXES) {
+    if (stem.length - suffix.length >= MIN_STEM_LENGTH && stem.endsWith(suffix)) {
+      return stem.slice(0, -suffix.length);
+    }
+  }
+
+  return stem;
+};
+
+/**
+ * Builds the search vocabulary from index entries.
+ * Returns word frequencies and a stem → most frequent surface form map.
+ */
+export const buildVocabulary = (entries, fields) => {
+  const words = new Map();
+  const stems = new Map();
+
+  (entries || []).forEach(entry => {
+    fields.forEach(field => {
+      const value = entry?.[field];
+      const texts = Array.isArray(value) ? value : [value];
+
+      texts.forEach(text => {
+        tokenize(text).forEach(word => {
+          words.set(word, (words.get(word) || 0) + 1);
+        });
+      });
+    });
+  });
+
+  words.forEach((count, word) => {
+    const stem = stemWord(word);
+    const current = stems.get(stem);
+    if (!current || words.get(current) < count) {
+      stems.set(stem, word);
+    }
+  });
+
+  return { words, stems };
+};
+
+const isKnownWord = (word, vocabulary) =>
+  vocabulary.words.has(word) || vocabulary.stems.has(stemWord(word));
+
+// Maps an inflected word onto the surface form used in the index
+const toIndexedForm = (word, vocabulary) => {
+  if (vocabulary.words.has(word)) return word;
+  return vocabulary.stems.get(stemWord(word)) || word;
+};
+
+/**
+ * Splits a compound into known vocabulary parts.
+ * Prefers the split with the fewest parts; returns null if none exists.
+ */
+export const splitCompound = (word, vocabulary) => {
+  if (!word || word.length < MIN_COMPOUND_LENGTH || !vocabulary) return null;
+
+  // best[i] = fewest parts covering word.slice(i)
+  const best = new Array(word.length + 1).fill(null);
+  best[word.length] = [];
+
+  for (let start = word.length - MIN_WORD_LENGTH; start >= 0; start--) {
+    for (let end = start + MIN_WORD_LENGTH; end <= word.length; end++) {
+      const part = word.slice(start, end);
+      if (!isKnownWord(part, vocabulary)) continue;
+
+      // Allow an optional linking element after the part
+      const nextStarts = [end, ...LINKING_ELEMENTS
+        .filter(link => word.startsWith(link, end))
+        .map(link => end + link.length)];
+
+      nextStarts.forEach(next => {
+        const rest = best[next];
+        if (!rest || rest.length + 1 > MAX_COMPOUND_PARTS) return;
+        if (!best[start] || best[start].length > rest.length + 1) {
+          best[start] = [toIndexedForm(part, vocabulary), ...rest];
+        }
+      });
+    }
+  }
+
+  return best[0] && best[0].length > 1 ? best[0] : null;
+};
+
+/**
+ * Generates search variants for an already preprocessed query:
+ * 1. The query as typed
+ * 2. Inflections mapped onto indexed surface forms
+ * 3. Unknown compounds split into their parts
+ */
+export const createQueryVariants = (query, vocabulary) => {
+  if (!query) return [];
+  if (!vocabulary || vocabulary.words.size === 0) return [query];
+
+  const words = query.split(/\s+/);
+
+  const normalized = words.map(word => toIndexedForm(word, vocabulary));
+
+  const split = words.map(word => {
+    if (isKnownWord(word, vocabulary)) return toIndexedForm(word, vocabulary);
+    const parts = splitCompound(word, vocabulary);
+    return parts ? parts.join(' ') : word;
+  });
+
+  const variants = [query, normalized.join(' '), split.join(' ')];
+  return [...new Set(variants)].slice(0, MAX_QUERY_VARIANTS);
+};
@@ -0,0 +1,143 @@
+/**
+ * negationAnalysis.js
+ *
+ * Negation scopes for ranking ("Kind will nicht schlafen" ≠ "Kind will schlafen").
+ *
+ * preprocessQuery() keeps the core negation words, but Fuse treats them as ordinary tokens.
+ * This module finds which words are negated, so entries with the same negated
+ * construction can be boosted and entries with only the plain sense slightly demoted.
+ *
+ * Scope rules (per clause - split at punctuation and "aber"/"und"/"oder"):
+ * - "kein…"/"ohne" negate the next content word ("kein Gemüse", "ohne Schnuller einschlafen")
+ * - "nicht"/"nie" negate up to 2 content words after them ("nicht gut schlafen")
+ * - None after it → the nearest content word before ("Kind schläft nicht", "schläft nicht ein")
+ *
+ * Negated words are returned as stems (see germanLanguage.stemWord), folded spelling.
+ */
+
+import { normalizeSearchText, stemWord } from './germanLanguage';
+
+const NEGATION_WORDS = new Set([
+  'nicht', 'kein', 'keine', 'keinen', 'keinem', 'keiner', 'keines',
+  'ohne', 'nein', 'nie', 'niemals', 'nichts', 'nirgends',
+]);
+// Only these stay in the Fuse query - the rest ("nichts", "nie", "keinen" …) would fuzzy-match
+// "nicht" in unrelated titles. Their scope still counts (findNegatedStems reads the full query).
+const SEARCHED_NEGATION_WORDS = new Set(['nicht', 'kein', 'keine', 'ohne', 'nein']);
+const CLAUSE_BREAK_WORDS = new Set(['aber', 'und', 'oder', 'sondern', 'weil', 'obwohl']);
+// Determiner-like negations cover a single noun, everything else up to 2 words
+const SINGLE_WORD_SCOPE = new Set(['kein', 'keine', 'keinen', 'keinem', 'keiner', 'keines', 'ohne']);
+const MAX_SCOPE_WORDS = 2;
+const MIN_CONTENT_WORD_LENGTH = 3;
+
+// Score adjustments (Fuse scores: 0 = perfect, higher = worse)
+const NEGATION_MATCH_BOOST = 0.15;
+const PLAIN_SENSE_PENALTY = 0.05; // Tie-break only - "Kita-Eingewöhnung" still fits "will nicht in die Kita"
+
+export const isNegationWord = (word) => NEGATION_WORDS.has(word);
+
+// Negations that must survive stopword removal (see FuseSearch.preprocessQuery)
+export const isSearchedNegationWord = (word) => SEARCHED_NEGATION_WORDS.has(word);
+
+// Words and clause breaks in reading order
+const toClauses = (text) => {
+  const clauses = [[]];
+  const tokens = normalizeSearchText(text).match(/[a-z0-9]+|[,.;:!?]/g) || [];
+
+  tokens.forEach(token => {
+    if (/^[,.;:!?]$/.test(token) || CLAUSE_BREAK_WORDS.has(token)) {
+      clauses.push([]);
+    } else {
+      clauses[clauses.length - 1].push(token);
+    }
+  });
+
+  return clauses.filter(clause => clause.length > 0);
+};
+
+/**
+ * Stems of all negated words in the text.
+ * stopwords: folded stopwords that never count as content ("will", "ein")
+ */
+export const findNegatedStems = (text, stopwords = new Set()) => {
+  const negated = new Set();
+  if (!text || typeof text !== 'string') return negated;
+
+  const isContentWord = (word) =>
+    word.length >= MIN_CONTENT_WORD_LENGTH && !NEGATION_WORDS.has(word) && !stopwords.has(word);
+
+  toClauses(text).forEach(words => {
+    words.forEach((word, index) => {
+      if (!NEGATION_WORDS.has(word)) return;
+
+      const scopeSize = SINGLE_WORD_SCOPE.has(word) ? 1 : MAX_SCOPE_WORDS;
+      const following = words.slice(index + 1).filter(isContentWord).slice(0, scopeSize);
+      if (following.length > 0) {
+        following.forEach(scoped => negated.add(stemWord(scoped)));
+        return;
+      }
+
+      const preceding = words.slice(0, index).filter(isContentWord).pop();
+      if (preceding) negated.add(stemWord(preceding));
+    });
+  });
+
+  return negated;
+};
+
+/**
+ * Per-entry negation profile, built once per entry and cached.
+ * Returns { negated: Set<stem>, all: Set<stem> }
+ */
+export const createNegationProfiler = (fields, stopwords = new Set()) => {
+  const cache = new WeakMap();
+
+  return (item) => {
+    let profile = cache.get(item);
+    if (profile) return profile;
+
+    const texts = fields
+      .flatMap(field => (Array.isArray(item[field]) ? item[field] : [item[field]]))
+      .filter(text => typeof text === 'string' && text);
+
+    const negated = new Set();
+    const all = new Set();
+    texts.forEach(text => {
+      findNegatedStems(text, stopwords).forEach(stem => negated.add(stem));
+      (normalizeSearchText(text).match(/[a-z0-9]+/g) || []).forEach(word => {
+        if (word.length >= MIN_CONTENT_WORD_LENGTH) all.add(stemWord(word));
+      });
+    });
+
+    profile = { negated, all };
+    cache.set(item, profile);
+    return profile;
+  };
+};
+
+/**
+ * Re-ranks results for a negated query.
+ * - Entry negates the same word → boosted
+ * - Entry contains the word only un-negated and negates nothing itself → slightly demoted
+ *   ("isst kein Gemüse" is no plain-sense match for "isst nichts")
+ * - Unrelated entries (matched via other words) stay as they are
+ *
+ * results: [{ item, score, ... }] sorted best first; returns a new sorted array
+ */
+export const applyNegationRanking = (results, queryNegatedStems, getProfile) => {
+  if (!queryNegatedStems || queryNegatedStems.size === 0) return results;
+
+  return results
+    .map(result => {
+      const { negated, all } = getProfile(result.item);
+      let adjustment = 0;
+
+      queryNegatedStems.forEach(stem => {
+        if (negated.has(stem)) adjustment -= NEGATION_MATCH_BOOST;
+        else if (all.has(stem) && negated.size === 0) adjustment += PLAIN_SENSE_PENALTY;
+      });
+
+      return adjustment === 0 ? result : { ...result, score: result.score + adjustment };
+    })
+    .sort((a, b) => a.score - b.score);
+};
@@ -0,0 +1,151 @@
+/**
+ * personalRanking.js
+ *
+ * On-device learning from the user's own clicks: questions opened for a query
+ * rank higher the next time the same query is searched.
+ *
+ * Privacy:
+ * - Stored only in AsyncStorage - nothing is sent anywhere, nothing is logged
+ * - Reset via resetPersonalRanking() (drawer menu)
+ *
+ * Key features:
+ * - Keyed by the normalized query (folded, stopwords removed - "Trotz" = "trotz")
+ * - Decaying weights (half-life 30 days) - old habits fade out
+ * - Bounded: 100 queries, 10 questions per query (least recently used dropped)
+ * - Boosts reach FuseSearch through setPersonalBoostProvider(), so the search
+ *   itself stays free of storage code (and Node scripts run without it)
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { setPersonalBoostProvider } from './FuseSearch';
+import { logAsyncStorageError } from './logError';
+import { getCriticalStorageLogOptions, parseStoredJSON } from './storageHelpers';
+import { isValidQuestionId } from '../constants/questionIds';
+
+const STORAGE_KEY = 'searchClickHistory';
+const STORAGE_VERSION = 1;
+const HALF_LIFE_MS = 30 * 24 * 60 * 60 * 1000;
+const MAX_QUERIES = 100;
+const MAX_QUESTIONS_PER_QUERY = 10;
+const MAX_BOOST = 0.2; // Fuse score units - enough to pass similar hits, not to beat a clearly better match
+const MIN_EFFECTIVE_WEIGHT = 0.05;
+
+// { [normalizedQuery]: { updatedAt, questions: { [questionId]: { weight, updatedAt } } } }
+let history = {};
+let loadingPromise = null;
+
+const decayedWeight = (weight, updatedAt, now) =>
+  weight * Math.pow(0.5, Math.max(0, now - updatedAt) / HALF_LIFE_MS);
+
+const isValidHistory = (data) =>
+  typeof data === 'object' && data !== null && data.version === STORAGE_VERSION &&
+  typeof data.queries === 'object' && data.queries !== null && !Array.isArray(data.queries);
+
+const persistHistory = async () => {
+  try {
+    await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify({ version: STORAGE_VERSION, queries: history }));
+  } catch (error) {
+    // Silent fail - personalization is non-critical (quota errors included)
+  }
+};
+
+// Keeps the newest queries / strongest questions only
+const pruneHistory = (now) => {
+  Object.values(history).forEach(entry => {
+    const questions = Object.entries(entry.questions)
+      .map(([questionId, data]) => [questionId, data, decayedWeight(data.weight, data.updatedAt, now)])
+      .filter(([, , effective]) => effective >= MIN_EFFECTIVE_WEIGHT)
+      .sort((a, b) => b[2] - a[2])
+      .slice(0, MAX_QUESTIONS_PER_QUERY);
+    entry.questions = Object.fromEntries(questions.map(([questionId, data]) => [questionId, data]));
+  });
+
+  const queries = Object.entries(history)
+    .filter(([, entry]) => Object.keys(entry.questions).length > 0)
+    .sort((a, b) => b[1].updatedAt - a[1].updatedAt)
+    .slice(0, MAX_QUERIES);
+  history = Object.fromEntries(queries);
+};
+
+/**
+ * Boosts for a normalized query: Map questionId → 0..MAX_BOOST
+ * (saturating: the first opens count most)
+ */
+export const getPersonalBoosts = (normalizedQuery) => {
+  const boosts = new Map();
+  const entry = normalizedQuery && history[normalizedQuery];
+  if (!entry) return boosts;
+
+  const now = Date.now();
+  Object.entries(entry.questions).forEach(([questionId, data]) => {
+    const effective = decayedWeight(data.weight, data.updatedAt, now);
+    if (effective >= MIN_EFFECTIVE_WEIGHT) {
+      boosts.set(questionId, MAX_BOOST * (1 - Math.exp(-effective)));
+    }
+  });
+
+  return boosts;
+};
+
+// Safe to call repeatedly - loads once
+export const loadPersonalRanking = () => {
+  if (!loadingPromise) {
+    loadingPromise = (async () => {
+      try {
+        const storedString = await AsyncStorage.getItem(STORAGE_KEY);
+        if (storedString) {
+          const parsed = parseStoredJSON(storedString, {
+            key: STORAGE_KEY,
+            componentName: 'personalRanking',
+            isValid: isValidHistory,
+            fallback: { queries: {} },
+          });
+          history = parsed.queries;
+          pruneHistory(Date.now());
+        }
+      } catch (error) {
+        logAsyncStorageError(error, 'getItem', STORAGE_KEY, getCriticalStorageLogOptions('personalRanking', 'getItem'));
+        history = {};
+      }
+
+      setPersonalBoostProvider(getPersonalBoosts);
+    })();
+  }
+  return loadingPromise;
+};
+
+/**
+ * Remembers that a question was opened for a query.
+ * normalizedQuery comes from the search normalization (searchWithStatus).
+ */
+export const recordResultOpened = async (normalizedQuery, questionId) => {
+  if (!normalizedQuery || typeof normalizedQuery !== 'string') return;
+  if (!isValidQuestionId(questionId)) return;
+
+  await loadPersonalRanking();
+
+  const now = Date.now();
+  const entry = history[normalizedQuery] || { updatedAt: now, questions: {} };
+  const previous = entry.questions[questionId];
+
+  entry.questions[questionId] = {
+    weight: (previous ? decayedWeight(previous.weight, previous.updatedAt, now) : 0) + 1,
+    updatedAt: now,
+  };
+  entry.updatedAt = now;
+  history[normalizedQuery] = entry;
+
+  pruneHistory(now);
+  await persistHistory();
+};
+
+// Waits for a running load first - it would otherwise restore the old data when it resolves
+export const resetPersonalRanking = async () => {
+  await loadPersonalRanking();
+  history = {};
+  try {
+    await AsyncStorage.removeItem(STORAGE_KEY);
+  } catch (error) {
+    logAsyncStorageError(error, 'removeItem', STORAGE_KEY, getCriticalStorageLogOptions('personalRanking', 'removeItem'));
+  }
+};
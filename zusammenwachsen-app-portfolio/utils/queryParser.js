@@ -0,0 +1,83 @@
+/**
+ * queryParser.js
+ *
+ * Structured query syntax for the search (runs before preprocessQuery).
+ *
+ * Supported syntax:
+ * - "exakte phrase"       → result must contain the phrase
+ * - -ausschluss           → results containing the term are dropped
+ * - kategorie:Kita        → only results from that category (also kat:, quoted values)
+ *
+ * Degrades to plain fuzzy search:
+ * - Unbalanced quotes → whole query searched as plain text (quotes removed)
+ * - Unknown category  → the value is searched as a normal term
+ *
+ * Hyphens inside words ("Kita-Eingewöhnung") are not exclusions.
+ */
+
+import { resolveCategoryName } from '../constants/categories';
+
+const CATEGORY_PREFIXES = ['kategorie', 'kat'];
+
+// Tokens: quoted phrase | prefix:"quoted value" | prefix:value | -term | word
+const TOKEN_PATTERN = /"([^"]*)"|(\S+?):"([^"]*)"|(\S+?):(\S+)|-(\S+)|(\S+)/g;
+
+const plainQuery = (text) => ({
+  text: text.replace(/"/g, ' ').replace(/\s+/g, ' ').trim(),
+  phrases: [],
+  exclusions: [],
+  categories: [],
+  isStructured: false,
+});
+
+export const parseSearchQuery = (query) => {
+  if (!query || typeof query !== 'string') return plainQuery('');
+
+  // Malformed: odd number of quotes
+  if ((query.match(/"/g) || []).length % 2 !== 0) {
+    return plainQuery(query);
+  }
+
+  const textParts = [];
+  const phrases = [];
+  const exclusions = [];
+  const categories = [];
+  let match;
+
+  while ((match = TOKEN_PATTERN.exec(query)) !== null) {
+    const [token, phrase, quotedPrefix, quotedValue, prefix, value, excluded, word] = match;
+
+    if (phrase !== undefined) {
+      const trimmed = phrase.trim();
+      if (trimmed) {
+        phrases.push(trimmed);
+        textParts.push(trimmed); // Phrase words still drive the fuzzy candidate search
+      }
+    } else if (quotedPrefix !== undefined || prefix !== undefined) {
+      const key = (quotedPrefix ?? prefix).toLowerCase();
+      const rawValue = quotedValue ?? value;
+      const categoryName = CATEGORY_PREFIXES.includes(key) ? resolveCategoryName(rawValue) : null;
+
+      if (categoryName) {
+        categories.push(categoryName);
+      } else {
+        // Unknown prefix or category: search the value as plain text
+        textParts.push(CATEGORY_PREFIXES.includes(key) ? rawValue : token.replace(/"/g, ' '));
+      }
+    } else if (excluded !== undefined) {
+      exclusions.push(excluded);
+    } else if (word !== undefined) {
+      textParts.push(word);
+    }
+  }
+
+  TOKEN_PATTERN.lastIndex = 0;
+
+  return {
+    text: textParts.join(' ').replace(/\s+/g, ' ').trim(),
+    phrases,
+    exclusions,
+    categories,
+    isStructured: phrases.length > 0 || exclusions.length > 0 || categories.length > 0,
+  };
+};
@@ -0,0 +1,103 @@
+/**
+ * questionUsage.js
+ *
+ * On-device counter of opened impulses - feeds the "Für dich" section of the
+ * default questions (see trendingQuestions.js).
+ *
+ * Privacy:
+ * - Stored only in AsyncStorage - nothing is sent anywhere, nothing is logged
+ * - Reset together with the search personalization (drawer menu)
+ *
+ * Bounded to 200 questions (least recently opened dropped).
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { logAsyncStorageError } from './logError';
+import { getCriticalStorageLogOptions, parseStoredJSON } from './storageHelpers';
+import { isValidQuestionId } from '../constants/questionIds';
+
+const STORAGE_KEY = 'questionOpenCounts';
+const STORAGE_VERSION = 1;
+const MAX_QUESTIONS = 200;
+const MIN_OPENS_FOR_FREQUENT = 2;
+
+// { [questionId]: { count, lastOpenedAt } }
+let usage = {};
+let loadingPromise = null;
+
+const isValidUsage = (data) =>
+  typeof data === 'object' && data !== null && data.version === STORAGE_VERSION &&
+  typeof data.questions === 'object' && data.questions !== null && !Array.isArray(data.questions);
+
+const persistUsage = async () => {
+  try {
+    await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify({ version: STORAGE_VERSION, questions: usage }));
+  } catch (error) {
+    // Silent fail - recommendations are non-critical (quota errors included)
+  }
+};
+
+// Safe to call repeatedly - loads once
+export const loadQuestionUsage = () => {
+  if (!loadingPromise) {
+    loadingPromise = (async () => {
+      try {
+        const storedString = await AsyncStorage.getItem(STORAGE_KEY);
+        if (storedString) {
+          usage = parseStoredJSON(storedString, {
+            key: STORAGE_KEY,
+            componentName: 'questionUsage',
+            isValid: isValidUsage,
+            fallback: { questions: {} },
+          }).questions;
+        }
+      } catch (error) {
+        logAsyncStorageError(error, 'getItem', STORAGE_KEY, getCriticalStorageLogOptions('questionUsage', 'getItem'));
+        usage = {};
+      }
+    })();
+  }
+  return loadingPromise;
+};
+
+export const recordQuestionOpened = async (questionId) => {
+  if (!isValidQuestionId(questionId)) return;
+
+  await loadQuestionUsage();
+
+  const previous = usage[questionId];
+  usage[questionId] = { count: (previous?.count || 0) + 1, lastOpenedAt: Date.now() };
+
+  const entries = Object.entries(usage);
+  if (entries.length > MAX_QUESTIONS) {
+    usage = Object.fromEntries(
+      entries.sort((a, b) => b[1].lastOpenedAt - a[1].lastOpenedAt).slice(0, MAX_QUESTIONS)
+    );
+  }
+
+  await persistUsage();
+};
+
+/**
+ * Questions opened at least twice, most opened first (ties: most recent first).
+ */
+export const getFrequentlyOpenedIds = async (limit = 10) => {
+  await loadQuestionUsage();
+
+  return Object.entries(usage)
+    .filter(([, data]) => data.count >= MIN_OPENS_FOR_FREQUENT)
+    .sort((a, b) => b[1].count - a[1].count || b[1].lastOpenedAt - a[1].lastOpenedAt)
+    .slice(0, limit)
+    .map(([questionId]) => questionId);
+};
+
+// Waits for a running load first - it would otherwise restore the old data when it resolves
+export const resetQuestionUsage = async () => {
+  await loadQuestionUsage();
+  usage = {};
+  try {
+    await AsyncStorage.removeItem(STORAGE_KEY);
+  } catch (error) {
+    logAsyncStorageError(error, 'removeItem', STORAGE_KEY, getCriticalStorageLogOptions('questionUsage', 'removeItem'));
+  }
+};
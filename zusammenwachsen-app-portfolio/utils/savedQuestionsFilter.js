@@ -0,0 +1,83 @@
+/**
+ * savedQuestionsFilter.js
+ *
+ * Text search, category filter and sorting for the favorites list.
+ *
+ * Text search uses the search's normalization (FuseSearch.normalizeQuery: stopwords
+ * removed, umlauts/ß folded). Every remaining query word must appear in the question
+ * or its answer - as a word beginning or with the same stem ("wutanfälle" finds "Wutanfall").
+ * Favorites lists are small, so a plain scan is fast enough.
+ */
+
+import { tokenize, stemWord } from './germanLanguage';
+
+export const SAVED_SORT = {
+  NEWEST: 'newest',
+  OLDEST: 'oldest',
+  TITLE: 'title',
+};
+
+// questionId -> { words, stems } of question + answer
+const searchableCache = new Map();
+
+const getSearchableWords = (question) => {
+  let searchable = searchableCache.get(question.questionId);
+  if (!searchable) {
+    const words = tokenize(`${question.questionText || ''} ${question.answer || ''}`);
+    searchable = { words, stems: new Set(words.map(stemWord)) };
+    searchableCache.set(question.questionId, searchable);
+  }
+  return searchable;
+};
+
+const matchesQuery = (question, queryWords) => {
+  if (queryWords.length === 0) return true;
+
+  const { words, stems } = getSearchableWords(question);
+  return queryWords.every(queryWord =>
+    stems.has(stemWord(queryWord)) || words.some(word => word.startsWith(queryWord))
+  );
+};
+
+const SORT_COMPARATORS = {
+  [SAVED_SORT.NEWEST]: (savedQuestions) => (a, b) => (savedQuestions[b.questionId] || 0) - (savedQuestions[a.questionId] || 0),
+  [SAVED_SORT.OLDEST]: (savedQuestions) => (a, b) => (savedQuestions[a.questionId] || 0) - (savedQuestions[b.questionId] || 0),
+  [SAVED_SORT.TITLE]: () => (a, b) => (a.questionText || '').localeCompare(b.questionText || '', 'de'),
+};
+
+/**
+ * Saved question count per category, largest first (same shape as search facets)
+ */
+export const buildSavedCategoryFacets = (questions, getCategory) => {
+  const counts = new Map();
+
+  questions.forEach(question => {
+    const category = getCategory(question.questionId);
+    if (category) counts.set(category, (counts.get(category) || 0) + 1);
+  });
+
+  return [...counts.entries()]
+    .map(([category, count]) => ({ category, count }))
+    .sort((a, b) => b.count - a.count || a.category.localeCompare(b.category, 'de'));
+};
+
+/**
+ * questions: saved questions ({ questionId, questionText, answer, ... })
+ * savedQuestions: { [questionId]: savedAt } from SavedQuestionsContext
+ * normalizedQuery: output of FuseSearch.normalizeQuery
+ */
+export const filterSavedQuestions = (questions, {
+  savedQuestions = {},
+  normalizedQuery = '',
+  category = null,
+  getCategory = () => null,
+  sort = SAVED_SORT.NEWEST,
+} = {}) => {
+  const queryWords = tokenize(normalizedQuery);
+  const compare = (SORT_COMPARATORS[sort] || SORT_COMPARATORS[SAVED_SORT.NEWEST])(savedQuestions);
+
+  return questions
+    .filter(question => !category || getCategory(question.questionId) === category)
+    .filter(question => matchesQuery(question, queryWords))
+    .sort(compare);
+};
@@ -0,0 +1,134 @@
+/**
+ * searchDictionary.js
+ *
+ * Global search dictionary maintained by content editors (assets/data/search_dictionary.json),
+ * so recall can be improved without editing every entry's synonym lists.
+ *
+ * Key features:
+ * - Synonym groups: every term finds the others ("Kita" ↔ "Kindergarten" ↔ "Krippe")
+ * - Expansion rules: one-directional ("Oma" → "Großeltern", not the other way round)
+ * - Stopword overrides: allow (searched despite stopwords-de) / deny (additionally ignored)
+ * - Terms may have several words and any spelling - folded and matched by stem
+ * - Malformed entries are skipped (counted), only an unsupported version is rejected
+ *
+ * Expansions become extra query variants (the matched words replaced), so they rank
+ * like the other variants instead of diluting the typed query.
+ *
+ * No React Native imports - must stay loadable from Node (evaluateSearch.js).
+ */
+
+import { normalizeSearchText, stemWord } from './germanLanguage';
+
+export const SEARCH_DICTIONARY_VERSION = 1;
+
+const MAX_DICTIONARY_VARIANTS = 4;
+
+export const EMPTY_SEARCH_DICTIONARY = {
+  version: SEARCH_DICTIONARY_VERSION,
+  rules: [],
+  skippedEntries: 0,
+};
+
+const toWords = (text) => normalizeSearchText(text).split(/[^a-z0-9]+/).filter(Boolean);
+
+const isTermList = (value) => Array.isArray(value) && value.every(term => typeof term === 'string');
+
+/**
+ * Stopwords with the dictionary overrides applied.
+ * baseStopwords: plain word list (stopwords-de); result contains both spellings ("für", "fuer")
+ */
+export const createStopwordSet = (baseStopwords, dictionaryData) => {
+  const allow = new Set((dictionaryData?.stopwords?.allow || []).filter(word => typeof word === 'string').map(normalizeSearchText));
+  const deny = (dictionaryData?.stopwords?.deny || []).filter(word => typeof word === 'string').map(normalizeSearchText);
+
+  const kept = (baseStopwords || []).filter(word => !allow.has(normalizeSearchText(word)));
+  return new Set([...kept, ...kept.map(normalizeSearchText), ...deny]);
+};
+
+/**
+ * Compiles the raw dictionary into match rules: { stems, replacements }
+ * isStopword: words dropped from terms, like preprocessQuery drops them from queries
+ * ("Oma und Opa" must match the query "oma opa")
+ *
+ * Throws for an unsupported version - callers fall back to EMPTY_SEARCH_DICTIONARY.
+ */
+export const createSearchDictionary = (dictionaryData, { isStopword = () => false } = {}) => {
+  if (dictionaryData?.version !== SEARCH_DICTIONARY_VERSION) {
+    throw new Error(`search_dictionary.json: version ${dictionaryData?.version} not supported (expected ${SEARCH_DICTIONARY_VERSION})`);
+  }
+
+  const rulesByKey = new Map();
+  let skippedEntries = 0;
+
+  const toTerm = (text) => toWords(text).filter(word => !isStopword(word));
+
+  const addRule = (from, to) => {
+    const fromWords = toTerm(from);
+    const replacements = to.map(term => toTerm(term).join(' ')).filter(Boolean);
+    if (fromWords.length === 0 || replacements.length === 0) return;
+
+    const stems = fromWords.map(stemWord);
+    const key = stems.join(' ');
+    const rule = rulesByKey.get(key) || { stems, replacements: new Set() };
+    replacements.forEach(replacement => {
+      if (replacement !== fromWords.join(' ')) rule.replacements.add(replacement);
+    });
+    rulesByKey.set(key, rule);
+  };
+
+  (dictionaryData.synonymGroups || []).forEach(group => {
+    if (!isTermList(group) || group.length < 2) {
+      skippedEntries++;
+      return;
+    }
+    group.forEach(term => addRule(term, group.filter(other => other !== term)));
+  });
+
+  (dictionaryData.expansions || []).forEach(expansion => {
+    if (!isTermList(expansion?.terms) || !isTermList(expansion?.expandTo)) {
+      skippedEntries++;
+      return;
+    }
+    expansion.terms.forEach(term => addRule(term, expansion.expandTo));
+  });
+
+  return {
+    version: dictionaryData.version,
+    rules: [...rulesByKey.values()]
+      .filter(rule => rule.replacements.size > 0)
+      .map(rule => ({ stems: rule.stems, replacements: [...rule.replacements] })),
+    skippedEntries,
+  };
+};
+
+// Start index of the stem sequence within the query stems, -1 if absent
+const findSequence = (queryStems, stems) => {
+  for (let start = 0; start + stems.length <= queryStems.length; start++) {
+    if (stems.every((stem, offset) => queryStems[start + offset] === stem)) return start;
+  }
+  return -1;
+};
+
+/**
+ * Extra query variants for an already preprocessed query (folded, stopwords removed).
+ * Each variant replaces one matched term: "kita weint" → "kindergarten weint", "krippe weint", ...
+ */
+export const expandQueryWithDictionary = (query, dictionary, maxVariants = MAX_DICTIONARY_VARIANTS) => {
+  if (!query || !dictionary?.rules?.length) return [];
+
+  const words = query.split(/\s+/).filter(Boolean);
+  const queryStems = words.map(stemWord);
+  const variants = new Set();
+
+  dictionary.rules.forEach(({ stems, replacements }) => {
+    const start = findSequence(queryStems, stems);
+    if (start === -1) return;
+
+    replacements.forEach(replacement => {
+      variants.add([...words.slice(0, start), replacement, ...words.slice(start + stems.length)].join(' '));
+    });
+  });
+
+  variants.delete(query);
+  return [...variants].slice(0, maxVariants);
+};
@@ -0,0 +1,105 @@
+/**
+ * searchHighlight.js
+ *
+ * Maps search terms back onto display text for match highlighting.
+ *
+ * Key features:
+ * - Works on the original text (umlauts, casing) while matching in folded spelling
+ * - Highlights whole words containing a term stem ("schlaf" → "Einschlafprobleme")
+ * - Merged, sorted [start, end) ranges that can be rendered segment by segment
+ */
+
+import { normalizeSearchText, stemWord } from './germanLanguage';
+import { isNegationWord } from './negationAnalysis';
+
+const MIN_TERM_LENGTH = 3;
+
+// Folds text char by char, remembering which original index produced each folded char
+const foldWithOffsets = (text) => {
+  let folded = '';
+  const offsets = [];
+
+  for (let i = 0; i < text.length; i++) {
+    const foldedChar = normalizeSearchText(text[i]);
+    folded += foldedChar;
+    for (let j = 0; j < foldedChar.length; j++) {
+      offsets.push(i);
+    }
+  }
+
+  return { folded, offsets };
+};
+
+/**
+ * Collects highlightable terms from (already folded) query variants.
+ * Terms are stems, so inflected forms in the text match too.
+ */
+export const getHighlightTerms = (variants) => {
+  const terms = new Set();
+
+  (variants || []).forEach(variant => {
+    (variant || '').split(/\s+/).forEach(word => {
+      // Negations stay in the query for intent but would light up every answer
+      if (word.length < MIN_TERM_LENGTH || isNegationWord(word)) return;
+      const stem = stemWord(word);
+      terms.add(stem.length >= MIN_TERM_LENGTH ? stem : word);
+    });
+  });
+
+  return [...terms];
+};
+
+/**
+ * Returns merged [start, end) ranges in the original text for every word
+ * that contains one of the terms.
+ */
+export const findTermRanges = (text, terms) => {
+  if (!text || typeof text !== 'string' || !terms || terms.length === 0) return [];
+
+  const { folded, offsets } = foldWithOffsets(text);
+  const ranges = [];
+  const wordPattern = /[a-z0-9]+/g;
+  let match;
+
+  while ((match = wordPattern.exec(folded)) !== null) {
+    const word = match[0];
+    // Compare against the stem too, so "wutanfaelle" matches the term "wutanfall"
+    const wordStem = stemWord(word);
+    if (!terms.some(term => word.includes(term) || wordStem.includes(term))) continue;
+
+    const start = offsets[match.index];
+    const end = offsets[match.index + word.length - 1] + 1;
+    const previous = ranges[ranges.length - 1];
+
+    if (previous && start <= previous[1] + 1) {
+      previous[1] = Math.max(previous[1], end);
+    } else {
+      ranges.push([start, end]);
+    }
+  }
+
+  return ranges;
+};
+
+// Splits text into { text, highlighted } segments for rendering
+export const splitByRanges = (text, ranges) => {
+  if (!text) return [];
+  if (!ranges || ranges.length === 0) return [{ text, highlighted: false }];
+
+  const segments = [];
+  let cursor = 0;
+
+  ranges.forEach(([start, end]) => {
+    if (start > cursor) {
+      segments.push({ text: text.slice(cursor, start), highlighted: false });
+    }
+    segments.push({ text: text.slice(start, end), highlighted: true });
+    cursor = end;
+  });
+
+  if (cursor < text.length) {
+    segments.push({ text: text.slice(cursor), highlighted: false });
+  }
+
+  return segments;
+};
@@ -0,0 +1,207 @@
+/**
+ * spellingSuggestions.js
+ *
+ * Offline "Meintest du …?" engine for zero-result searches.
+ *
+ * How it works:
+ * 1. Vocabulary from the search fields (folded word → frequency + display spelling)
+ * 2. Bigram index narrows candidates for a misspelled word
+ * 3. Damerau-Levenshtein distance (max 1 for short words, 2 otherwise)
+ * 4. Corrected queries are verified by the caller - only queries with results are offered
+ *    (hasTitleMatch: cheap pre-check in the same index, so few candidates need a full search)
+ */
+
+import { tokenize, stemWord } from './germanLanguage';
+
+const MAX_CANDIDATES_PER_WORD = 3;
+const MAX_BIGRAM_CANDIDATES = 60;
+const MAX_QUERY_COMBINATIONS = 9;
+const SHORT_WORD_LENGTH = 5;
+
+const getBigrams = (word) => {
+  const padded = `^${word}$`;
+  const bigrams = new Set();
+  for (let i = 0; i < padded.length - 1; i++) {
+    bigrams.add(padded.slice(i, i + 2));
+  }
+  return bigrams;
+};
+
+// Optimal string alignment distance, aborts once maxDistance is exceeded
+const editDistance = (a, b, maxDistance) => {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let previousPrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = current[0];
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+
+      // Transposition ("shclafen" → "schlafen")
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], previousPrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+
+    if (rowMin > maxDistance) return maxDistance + 1;
+    previousPrevious = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+/**
+ * Builds the spelling index from raw (unfolded) entries,
+ * so suggestions can be shown in their original spelling ("müde", not "muede").
+ */
+export const createSpellingIndex = (entries, fields) => {
+  const frequencies = new Map();
+  const displayForms = new Map();
+  const entriesByStem = new Map(); // stem → Set of entry positions (hasTitleMatch)
+
+  (entries || []).forEach((entry, entryIndex) => {
+    fields.forEach(field => {
+      const value = entry?.[field];
+      const texts = Array.isArray(value) ? value : [value];
+
+      texts.forEach(text => {
+        if (!text || typeof text !== 'string') return;
+
+        text.toLowerCase().split(/[^a-z0-9äöüß]+/).forEach(original => {
+          const [word] = tokenize(original);
+          if (!word) return;
+          frequencies.set(word, (frequencies.get(word) || 0) + 1);
+          if (!displayForms.has(word)) displayForms.set(word, original);
+
+          const stem = stemWord(word);
+          if (!entriesByStem.has(stem)) entriesByStem.set(stem, new Set());
+          entriesByStem.get(stem).add(entryIndex);
+        });
+      });
+    });
+  });
+
+  const words = [...frequencies.keys()];
+  const bigramIndex = new Map();
+
+  words.forEach((word, wordId) => {
+    getBigrams(word).forEach(bigram => {
+      let ids = bigramIndex.get(bigram);
+      if (!ids) {
+        ids = [];
+        bigramIndex.set(bigram, ids);
+      }
+      ids.push(wordId);
+    });
+  });
+
+  return { words, frequencies, displayForms, bigramIndex, entriesByStem };
+};
+
+/**
+ * True if one entry's title fields contain every searchable word of the text
+ * (stemmed, stopwords ignored). Set lookups only - cheap enough to check every candidate.
+ */
+export const hasTitleMatch = (text, spellingIndex, { isStopword }) => {
+  const stems = [...new Set(tokenize(text).filter(word => !isStopword(word)).map(stemWord))];
+  if (stems.length === 0 || !spellingIndex?.entriesByStem) return false;
+
+  const postings = stems
+    .map(stem => spellingIndex.entriesByStem.get(stem))
+    .sort((a, b) => (a?.size || 0) - (b?.size || 0));
+  if (!postings[0]) return false;
+
+  for (const entryIndex of postings[0]) {
+    if (postings.every(entries => entries.has(entryIndex))) return true;
+  }
+  return false;
+};
+
+// Closest vocabulary words for one (folded) word, best first
+const findCandidates = (word, spellingIndex) => {
+  const maxDistance = word.length <= SHORT_WORD_LENGTH ? 1 : 2;
+  const overlap = new Map();
+
+  getBigrams(word).forEach(bigram => {
+    (spellingIndex.bigramIndex.get(bigram) || []).forEach(wordId => {
+      overlap.set(wordId, (overlap.get(wordId) || 0) + 1);
+    });
+  });
+
+  return [...overlap.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_BIGRAM_CANDIDATES)
+    .map(([wordId]) => spellingIndex.words[wordId])
+    .map(candidate => ({ candidate, distance: editDistance(word, candidate, maxDistance) }))
+    .filter(({ distance }) => distance > 0 && distance <= maxDistance)
+    .sort((a, b) =>
+      a.distance - b.distance ||
+      spellingIndex.frequencies.get(b.candidate) - spellingIndex.frequencies.get(a.candidate)
+    )
+    .slice(0, MAX_CANDIDATES_PER_WORD);
+};
+
+// Plain words only - phrases, exclusions and "kategorie:" tokens are kept as typed
+const isCorrectableToken = (token) => !token.startsWith('-') && !token.includes(':') && !token.includes('"');
+
+/**
+ * Returns up to maxSuggestions corrected queries that produce results.
+ *
+ * Options:
+ * - isKnownWord(foldedWord): words the search already understands are left alone
+ * - hasResults(query): verification, only corrections with hits are returned
+ */
+export const suggestCorrections = (query, spellingIndex, { isKnownWord, hasResults, maxSuggestions = 3 }) => {
+  if (!query || !spellingIndex) return [];
+
+  const tokens = query.trim().split(/\s+/);
+
+  const corrections = tokens.map(token => {
+    if (!isCorrectableToken(token)) return null;
+    // Single words only ("Kita-Eingewöhnung" would lose a part when replaced)
+    const words = tokenize(token);
+    if (words.length !== 1 || isKnownWord(words[0])) return null;
+
+    const candidates = findCandidates(words[0], spellingIndex);
+    return candidates.length > 0 ? candidates : null;
+  });
+
+  if (corrections.every(candidates => candidates === null)) return [];
+
+  // Combine per-word candidates, cheapest total edit distance first
+  let combinations = [{ tokens: [], distance: 0 }];
+  tokens.forEach((token, index) => {
+    const options = corrections[index]
+      ? corrections[index].map(({ candidate, distance }) => ({
+          token: spellingIndex.displayForms.get(candidate) || candidate,
+          distance,
+        }))
+      : [{ token, distance: 0 }];
+
+    combinations = combinations
+      .flatMap(combination => options.map(option => ({
+        tokens: [...combination.tokens, option.token],
+        distance: combination.distance + option.distance,
+      })))
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, MAX_QUERY_COMBINATIONS);
+  });
+
+  const suggestions = [];
+  for (const combination of combinations) {
+    const suggestion = combination.tokens.join(' ');
+    if (suggestion !== query && hasResults(suggestion)) {
+      suggestions.push(suggestion);
+      if (suggestions.length >= maxSuggestions) break;
+    }
+  }
+
+  return suggestions;
+};
@@ -0,0 +1,193 @@
+/**
+ * storage.js
+ *
+ * Versioned AsyncStorage layer (schemas: storageMigrations.js).
+ *
+ * - runStorageMigrations(): at startup, before the contexts load. Brings every registered
+ *   key to its current schema version, one key at a time.
+ * - loadStoredJSON(): read + validate with recovery - corrupted data is never just replaced
+ * - loadStoredJSONWithRetry(): the same, retrying storage access errors before giving up
+ *
+ * Schema versions live in one meta key ({ [key]: version }), the stored values keep
+ * their shape - existing readers don't need to know about versions.
+ *
+ * Safety:
+ * - Backup before migrate: the raw value is copied to `storageBackup:{key}` first.
+ *   No backup → no migration (retried on the next start).
+ * - A failing migration leaves the original value, version and backup untouched.
+ *   Corrupted values fail here too - loadStoredJSON() recovers them when the context loads.
+ * - Corrupted values are copied to `storageCorrupt:{key}`, then the backup is tried
+ *   (migrated to the current version). Only without a usable backup the fallback is used.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { STORAGE_SCHEMAS } from './storageMigrations';
+import { logAsyncStorageError, logDebugInfo } from './logError';
+import { getCriticalStorageLogOptions } from './storageHelpers';
+
+const SCHEMA_VERSIONS_KEY = 'storageSchemaVersions';
+const BACKUP_PREFIX = 'storageBackup:';
+const CORRUPT_PREFIX = 'storageCorrupt:';
+const READ_RETRY_DELAYS_MS = [250, 1000];
+
+export const STORAGE_LOAD_STATUS = {
+  OK: 'ok',
+  MISSING: 'missing',
+  RECOVERED: 'recovered', // Corrupted, restored from the pre-migration backup
+  RESET: 'reset',         // Corrupted, no usable backup - fallback (the corrupted value is kept aside)
+  ERROR: 'error',         // Storage not readable, even after retrying - contexts stay read-only with this
+};
+
+/**
+ * Applies the migrations of `schema` from `fromVersion` up to `schema.version`.
+ * Throws if a step fails or the result doesn't pass schema.isValid.
+ */
+export const applyMigrations = (data, fromVersion, schema) => {
+  let migrated = data;
+  for (let version = fromVersion + 1; version <= schema.version; version++) {
+    const migrate = schema.migrations[version];
+    if (migrate) migrated = migrate(migrated);
+  }
+
+  if (!schema.isValid(migrated)) {
+    throw new Error(`[STORAGE] Invalid data after migrating to version ${schema.version}`);
+  }
+  return migrated;
+};
+
+const readSchemaVersions = async () => {
+  try {
+    const storedString = await AsyncStorage.getItem(SCHEMA_VERSIONS_KEY);
+    const parsed = storedString ? JSON.parse(storedString) : {};
+    return typeof parsed === 'object' && parsed !== null && !Array.isArray(parsed) ? parsed : {};
+  } catch (error) {
+    // Unreadable meta key: migrations start from version 0 - every step is safe to repeat
+    return {};
+  }
+};
+
+const writeBackup = (key, rawValue, fromVersion) =>
+  AsyncStorage.setItem(`${BACKUP_PREFIX}${key}`, JSON.stringify({
+    fromVersion,
+    createdAt: Date.now(),
+    value: rawValue,
+  }));
+
+const migrateKey = async (key, schema, fromVersion) => {
+  const rawValue = await AsyncStorage.getItem(key);
+  if (rawValue === null) return; // Nothing stored yet - will be written in the current shape
+
+  // Migrate in memory first - a corrupted value must not replace a good backup
+  const migrated = applyMigrations(JSON.parse(rawValue), fromVersion, schema);
+
+  await writeBackup(key, rawValue, fromVersion);
+  await AsyncStorage.setItem(key, JSON.stringify(migrated));
+};
+
+/**
+ * Brings all registered keys to their current schema version.
+ * Never throws - the app starts in any case. Resolves to { migratedKeys, failedKeys }.
+ */
+export const runStorageMigrations = async () => {
+  const versions = await readSchemaVersions();
+  const migratedKeys = [];
+  const failedKeys = [];
+
+  for (const [key, schema] of Object.entries(STORAGE_SCHEMAS)) {
+    const fromVersion = typeof versions[key] === 'number' ? versions[key] : 0;
+
+    if (fromVersion > schema.version) {
+      // Written by a newer app version (downgrade) - leave it alone
+      logDebugInfo('[STORAGE] Newer schema version found', { key, fromVersion });
+      continue;
+    }
+    if (fromVersion === schema.version) continue;
+
+    try {
+      await migrateKey(key, schema, fromVersion);
+      versions[key] = schema.version;
+      await AsyncStorage.setItem(SCHEMA_VERSIONS_KEY, JSON.stringify(versions));
+      migratedKeys.push(key);
+    } catch (error) {
+      failedKeys.push(key);
+      logAsyncStorageError(error, 'migrate', key, getCriticalStorageLogOptions('storage', 'migrate'));
+    }
+  }
+
+  return { migratedKeys, failedKeys };
+};
+
+// Pre-migration backup, migrated to the current version - null if there is none or it doesn't fit
+const readBackup = async (key, isValid) => {
+  try {
+    const schema = STORAGE_SCHEMAS[key];
+    const backupString = await AsyncStorage.getItem(`${BACKUP_PREFIX}${key}`);
+    if (!schema || !backupString) return null;
+
+    const backup = JSON.parse(backupString);
+    const restored = applyMigrations(JSON.parse(backup.value), backup.fromVersion || 0, schema);
+    return isValid(restored) ? restored : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Pre-migration backup as { data, status: RECOVERED } - { data: fallback, status: RESET } without one
+const restoreFromBackup = async (key, { isValid, fallback }) => {
+  const restored = await readBackup(key, isValid);
+  return restored === null
+    ? { data: fallback, status: STORAGE_LOAD_STATUS.RESET }
+    : { data: restored, status: STORAGE_LOAD_STATUS.RECOVERED };
+};
+
+/**
+ * Reads and validates a stored JSON value. Storage access errors are thrown (caller decides).
+ * Corrupted data is kept aside and recovered from the backup where possible.
+ * Returns { data, status } - status: STORAGE_LOAD_STATUS
+ */
+export const loadStoredJSON = async (key, { componentName, isValid, fallback }) => {
+  const storedString = await AsyncStorage.getItem(key);
+  if (storedString === null) return { data: fallback, status: STORAGE_LOAD_STATUS.MISSING };
+
+  try {
+    const parsed = JSON.parse(storedString);
+    if (isValid(parsed)) return { data: parsed, status: STORAGE_LOAD_STATUS.OK };
+
+    throw new Error(`[${componentName.toUpperCase()}] Invalid data structure for ${key}`);
+  } catch (parseError) {
+    logAsyncStorageError(parseError, 'parseJSON', key, getCriticalStorageLogOptions(componentName, 'parseJSON'));
+  }
+
+  try {
+    await AsyncStorage.setItem(`${CORRUPT_PREFIX}${key}`, JSON.stringify({ createdAt: Date.now(), value: storedString }));
+  } catch (error) {
+    // Keeping the corrupted copy is best effort
+  }
+
+  const recovery = await restoreFromBackup(key, { isValid, fallback });
+  if (recovery.status === STORAGE_LOAD_STATUS.RESET) return recovery;
+
+  try {
+    await AsyncStorage.setItem(key, JSON.stringify(recovery.data));
+  } catch (error) {
+    // Restored in memory - the next successful write stores it
+  }
+  return recovery;
+};
+
+/**
+ * loadStoredJSON() that retries storage access errors (e.g. a busy database right after start).
+ * Throws if the last attempt fails too - an unreadable value is not corrupted data,
+ * so the caller must not replace it.
+ */
+export const loadStoredJSONWithRetry = async (key, options) => {
+  for (const delayMs of READ_RETRY_DELAYS_MS) {
+    try {
+      return await loadStoredJSON(key, options);
+    } catch (error) {
+      logDebugInfo('[STORAGE] Read failed, retrying', { key, delayMs });
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+    }
+  }
+  return loadStoredJSON(key, options);
+};
@@ -0,0 +1,58 @@
+/**
+ * storageHelpers.js
+ *
+ * Shared AsyncStorage error handling for the persisted contexts
+ * (SavedQuestionsContext, RecentSearchesContext).
+ *
+ * - isQuotaExceededError(): quota errors are user-fixable → alert, not Sentry
+ * - getCriticalStorageLogOptions(): Sentry options for storage errors that break a feature
+ * - parseStoredJSON(): parse + validate, corrupted data is logged and replaced by a fallback
+ *
+ * User data keys (favorites, collections, notes) load via storage.js instead:
+ * schema versions, migrations and recovery from backups.
+ */
+
+import { logAsyncStorageError } from './logError';
+
+export const isQuotaExceededError = (error) =>
+  !!error && (
+    error.message?.includes('QuotaExceededError') ||
+    error.message?.includes('quota') ||
+    error.name === 'QuotaExceededError'
+  );
+
+export const getCriticalStorageLogOptions = (componentName, method) => ({
+  fingerprint: [`${componentName}-${method}-critical`],
+  tags: {
+    component: componentName,
+    errorType: 'critical',
+    critical: true,
+    feature: 'storage'
+  },
+  extra: {
+    componentName,
+    method,
+    critical: true
+  },
+  severity: 'error'
+});
+
+/**
+ * Parses a stored JSON string and validates it.
+ * isValid(parsed) returns true for usable data; anything else counts as corrupted.
+ */
+export const parseStoredJSON = (storedString, { key, componentName, isValid, fallback }) => {
+  try {
+    const parsed = JSON.parse(storedString);
+
+    // Validate parsed data to prevent corrupted app state
+    if (!isValid(parsed)) {
+      throw new Error(`[${componentName.toUpperCase()}] Invalid data structure for ${key}`);
+    }
+
+    return parsed;
+  } catch (parseError) {
+    logAsyncStorageError(parseError, 'parseJSON', key, getCriticalStorageLogOptions(componentName, 'parseJSON'));
+    return fallback;
+  }
+};
@@ -0,0 +1,77 @@
+/**
+ * storageMigrations.js
+ *
+ * Schema registry for the AsyncStorage keys that hold user data or app state.
+ * Run by runStorageMigrations() (storage.js) at startup, before any context reads.
+ *
+ * Per key:
+ * - version:    current schema version (what the app code reads and writes)
+ * - isValid:    shape check after migrating (and for recovery from backups)
+ * - migrations: { [toVersion]: (data) => migratedData }, applied in order
+ *
+ * Version 0 = written before this registry existed. A "baseline" step only validates.
+ *
+ * Adding a shape change: bump `version`, add the migration for the new version and
+ * keep the old ones - users may skip app updates.
+ *
+ * Rebuildable caches (searchClickHistory, questionOpenCounts, defaultQuestionIdsCache)
+ * carry their own `version` field and are simply dropped on mismatch - not listed here.
+ */
+
+const isPlainObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+const baseline = (data) => data;
+
+// Boolean → timestamp shape (unsaved entries dropped), already migrated maps stay as they are.
+// Old entries get 1, 2, 3, ... - older than any real save, original order kept.
+export const migrateSavedQuestions = (data) => {
+  let legacyOrder = 0;
+  return Object.fromEntries(
+    Object.entries(data)
+      .filter(([, value]) => value)
+      .map(([questionId, value]) => [questionId, typeof value === 'number' ? value : ++legacyOrder])
+  );
+};
+
+export const STORAGE_SCHEMAS = {
+  // { [questionId]: savedAt }
+  savedQuestions: {
+    version: 1,
+    isValid: isPlainObject,
+    migrations: {
+      1: migrateSavedQuestions,
+    },
+  },
+  // [query] - newest first
+  recentSearches: {
+    version: 1,
+    isValid: Array.isArray,
+    migrations: {
+      1: baseline,
+    },
+  },
+  // { version: 1, collections, syncedAt }
+  favoriteCollections: {
+    version: 1,
+    isValid: (data) => isPlainObject(data) && Array.isArray(data.collections),
+    migrations: {
+      1: baseline,
+    },
+  },
+  // { [questionId]: { text, updatedAt } }
+  questionNotes: {
+    version: 1,
+    isValid: isPlainObject,
+    migrations: {
+      1: baseline,
+    },
+  },
+  // { timestamp, appVersion, versionOk } (App.js update check)
+  lastUpdateCheck: {
+    version: 1,
+    isValid: (data) => isPlainObject(data) && typeof data.timestamp === 'number',
+    migrations: {
+      1: baseline,
+    },
+  },
+};
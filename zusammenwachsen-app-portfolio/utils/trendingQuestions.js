@@ -0,0 +1,144 @@
+/**
+ * trendingQuestions.js
+ *
+ * Default questions for SearchScreen ("Häufig gesuchte Themen"), split into two sections:
+ * - "Für dich": impulses the user opened repeatedly or saved recently (on-device only)
+ * - "Beliebt":  seasonal picks + the curated list from remote config
+ *
+ * Curated list sources (first that works):
+ * 1. Remote config (cached in AsyncStorage after every successful fetch)
+ * 2. Last cached remote list - offline users keep the last known curation
+ * 3. FALLBACK_QUESTION_IDS
+ *
+ * Remote/cache failures are non-critical and never logged as errors.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { parseStoredJSON } from './storageHelpers';
+import { getFrequentlyOpenedIds } from './questionUsage';
+import { findQuestionIdsForTopics } from './FuseSearch';
+import { getSeasonalTerms } from '../constants/seasonalTopics';
+import { FALLBACK_QUESTION_IDS } from '../constants/defaultQuestions';
+import { isValidQuestionId } from '../constants/questionIds';
+
+const REMOTE_CONFIG_URL = 'PLACEHOLDER_REMOTE_CONFIG_URL';
+const REMOTE_TIMEOUT_MS = 5000;
+const CACHE_KEY = 'defaultQuestionIdsCache';
+const CACHE_VERSION = 1;
+
+const FOR_YOU_LIMIT = 5;
+const SEASONAL_LIMIT = 2;
+
+const toQuestionIds = (value) =>
+  Array.isArray(value) ? value.filter(isValidQuestionId) : [];
+
+const fetchRemoteQuestionIds = async () => {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), REMOTE_TIMEOUT_MS);
+
+  try {
+    const response = await fetch(REMOTE_CONFIG_URL, { signal: controller.signal });
+    if (!response.ok) return null;
+
+    const data = await response.json();
+    const questionIds = toQuestionIds(data?.defaultQuestionIds);
+    return questionIds.length > 0 ? questionIds : null;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+};
+
+const readCachedQuestionIds = async () => {
+  const storedString = await AsyncStorage.getItem(CACHE_KEY);
+  if (!storedString) return null;
+
+  const cached = parseStoredJSON(storedString, {
+    key: CACHE_KEY,
+    componentName: 'trendingQuestions',
+    isValid: (data) => data?.version === CACHE_VERSION && Array.isArray(data.questionIds),
+    fallback: null,
+  });
+  const questionIds = toQuestionIds(cached?.questionIds);
+  return questionIds.length > 0 ? questionIds : null;
+};
+
+/**
+ * Curated question IDs with their source: 'remote' | 'cache' | 'fallback'
+ */
+export const loadCuratedQuestionIds = async () => {
+  try {
+    const remoteIds = await fetchRemoteQuestionIds();
+    if (remoteIds) {
+      AsyncStorage.setItem(CACHE_KEY, JSON.stringify({
+        version: CACHE_VERSION,
+        questionIds: remoteIds,
+        fetchedAt: Date.now(),
+      })).catch(() => {
+        // Cache write failures are non-critical - next start fetches again
+      });
+      return { questionIds: remoteIds, source: 'remote' };
+    }
+  } catch (error) {
+    // Offline or remote config unavailable - cached list below
+  }
+
+  try {
+    const cachedIds = await readCachedQuestionIds();
+    if (cachedIds) return { questionIds: cachedIds, source: 'cache' };
+  } catch (error) {
+    // Cache unreadable - fallback list below
+  }
+
+  return { questionIds: FALLBACK_QUESTION_IDS, source: 'fallback' };
+};
+
+// Alternates between the lists: [a1, b1, a2, b2, ...], duplicates dropped
+const interleave = (...lists) => {
+  const result = [];
+  const longest = Math.max(0, ...lists.map(list => list.length));
+
+  for (let i = 0; i < longest; i++) {
+    lists.forEach(list => {
+      if (i < list.length && !result.includes(list[i])) result.push(list[i]);
+    });
+  }
+  return result;
+};
+
+/**
+ * Pure blending step.
+ * savedIds: most recently saved first
+ * isKnownId: drops IDs missing from the local data (outdated remote config)
+ *
+ * Returns { forYou: [...ids], popular: [...ids] } - no ID appears in both
+ */
+export const blendDefaultQuestionIds = ({
+  curatedIds = [],
+  frequentIds = [],
+  savedIds = [],
+  seasonalIds = [],
+  isKnownId = () => true,
+}) => {
+  const forYou = interleave(frequentIds.filter(isKnownId), savedIds.filter(isKnownId)).slice(0, FOR_YOU_LIMIT);
+  const shown = new Set(forYou);
+
+  const popular = [...seasonalIds.slice(0, SEASONAL_LIMIT), ...curatedIds]
+    .filter(id => isKnownId(id) && !shown.has(id))
+    .filter((id, index, list) => list.indexOf(id) === index);
+
+  return { forYou, popular };
+};
+
+/**
+ * Loads all sources and blends them.
+ * savedIds come from SavedQuestionsContext (most recently saved first).
+ */
+export const loadTrendingQuestionIds = async ({ savedIds = [], isKnownId } = {}) => {
+  const [{ questionIds: curatedIds }, frequentIds] = await Promise.all([
+    loadCuratedQuestionIds(),
+    getFrequentlyOpenedIds().catch(() => []),
+  ]);
+  const seasonalIds = findQuestionIdsForTopics(getSeasonalTerms(new Date().getMonth() + 1));
+
+  return blendDefaultQuestionIds({ curatedIds, frequentIds, savedIds, seasonalIds, isKnownId });
+};
@@ -0,0 +1,191 @@
+/**
+ * useLiveSearch.js
+ *
+ * Search-as-you-type on top of FuseSearch.
+ *
+ * Key features:
+ * - Debounce tied to input (restarts on every keystroke)
+ * - Previous results stay visible until newer results arrive
+ * - Cancelable pipeline: every run carries a request ID, stale runs are dropped
+ * - Rate-limit aware: throttled runs are rescheduled instead of returning []
+ * - Category facets: switching the category narrows the ranking already in memory
+ *   (no debounce, no new search against the rate limit)
+ * - searchNow(nextQuery): a tapped suggestion is searched without the typing pause
+ * - status/normalization from searchWithStatus (why a result list is empty)
+ * - loadMore(): next page of the same ranking, appended without duplicates
+ * - spellingSuggestions: "Meintest du …?" - computed once when a search finds nothing
+ *
+ * Usage:
+ * const { results, facets, total, status, normalization, resultsQuery, isSearching, searchNow,
+ *         hasMore, loadMore, spellingSuggestions } = useLiveSearch(searchQuery, { category });
+ */
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { searchWithStatus, getSpellingSuggestions, getRateLimitDelay, SEARCH_STATUS } from './FuseSearch';
+import { logDataError } from './logError';
+
+const DEFAULT_DEBOUNCE_MS = 300;
+
+export function useLiveSearch(query, { debounceMs = DEFAULT_DEBOUNCE_MS, category = null } = {}) {
+  const [results, setResults] = useState([]);
+  const [facets, setFacets] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [status, setStatus] = useState(null);
+  const [normalization, setNormalization] = useState(null);
+  const [resultsQuery, setResultsQuery] = useState('');
+  const [isSearching, setIsSearching] = useState(false);
+  const [hasMore, setHasMore] = useState(false);
+  const [spellingSuggestions, setSpellingSuggestions] = useState([]);
+  const resultsCategoryRef = useRef(null); // Category of the shown results (for loadMore)
+  const requestIdRef = useRef(0);
+  const timeoutRef = useRef(null);
+  const lastQueryRef = useRef(query);
+  const immediateQueryRef = useRef(null); // Announced via searchNow(nextQuery)
+
+  const cancelPending = () => {
+    if (timeoutRef.current) {
+      clearTimeout(timeoutRef.current);
+      timeoutRef.current = null;
+    }
+  };
+
+  // reuseRanking: only the category changed - narrow the shown query's ranking
+  const runSearch = useCallback((searchQuery, searchCategory, requestId, reuseRanking = false) => {
+    // A newer keystroke superseded this run
+    if (requestId !== requestIdRef.current) return;
+
+    // Throttled: keep current results and retry once the window reopens
+    const retryDelay = reuseRanking ? 0 : getRateLimitDelay();
+    if (retryDelay > 0) {
+      timeoutRef.current = setTimeout(() => runSearch(searchQuery, searchCategory, requestId), retryDelay);
+      return;
+    }
+
+    let retryScheduled = false;
+    try {
+      const next = searchWithStatus(searchQuery, { includeMatches: true, category: searchCategory, reuseRanking });
+      if (requestId !== requestIdRef.current) return;
+
+      // Throttled after all (another search slipped in) - retry instead of showing an empty list
+      if (next.status === SEARCH_STATUS.RATE_LIMITED) {
+        retryScheduled = true;
+        timeoutRef.current = setTimeout(
+          () => runSearch(searchQuery, searchCategory, requestId, reuseRanking),
+          Math.max(getRateLimitDelay(), 50)
+        );
+        return;
+      }
+
+      // Only for real no-matches - once per settled search, outside render
+      setSpellingSuggestions(next.status === SEARCH_STATUS.NO_RESULTS ? getSpellingSuggestions(searchQuery, { category: searchCategory }) : []);
+      setResults(next.results);
+      setFacets(next.facets);
+      setTotal(next.total);
+      setHasMore(next.hasMore);
+      resultsCategoryRef.current = searchCategory;
+      setStatus(next.status);
+      setNormalization(next.normalization);
+      setResultsQuery(searchQuery);
+    } catch (error) {
+      logDataError(error, 'useLiveSearch', 'runSearch');
+    } finally {
+      if (!retryScheduled && requestId === requestIdRef.current) {
+        setIsSearching(false);
+      }
+    }
+  }, []);
+
+  useEffect(() => {
+    const requestId = ++requestIdRef.current;
+    cancelPending();
+
+    // Only the category changed - the user tapped a facet, no typing pause to wait for
+    const queryChanged = lastQueryRef.current !== query;
+    lastQueryRef.current = query;
+    const skipDebounce = !queryChanged || query === immediateQueryRef.current;
+    immediateQueryRef.current = null;
+
+    if (!query || !query.trim()) {
+      setResults([]);
+      setFacets([]);
+      setTotal(0);
+      setHasMore(false);
+      setSpellingSuggestions([]);
+      setStatus(null);
+      setNormalization(null);
+      setResultsQuery('');
+      setIsSearching(false);
+      return;
+    }
+
+    setIsSearching(true);
+    timeoutRef.current = setTimeout(
+      () => runSearch(query, category, requestId, !queryChanged),
+      skipDebounce ? 0 : debounceMs
+    );
+
+    return cancelPending;
+  }, [query, category, debounceMs, runSearch]);
+
+  // Skip the debounce (e.g. on submit).
+  // With nextQuery (about to be set as the new query), that query runs without debounce.
+  const searchNow = useCallback((nextQuery) => {
+    if (typeof nextQuery === 'string' && nextQuery !== query) {
+      immediateQueryRef.current = nextQuery;
+      return;
+    }
+    if (!query || !query.trim()) return;
+
+    const requestId = ++requestIdRef.current;
+    cancelPending();
+    setIsSearching(true);
+    runSearch(query, category, requestId);
+  }, [query, category, runSearch]);
+
+  // Next page of the shown results (ignored while a new search is pending).
+  // Synchronous slice of the cached ranking (re-ranked unthrottled if it was evicted) -
+  // repeated calls are deduplicated.
+  const loadMore = useCallback(() => {
+    if (!hasMore || isSearching || !resultsQuery) return;
+
+    const requestId = requestIdRef.current;
+
+    try {
+      const next = searchWithStatus(resultsQuery, {
+        includeMatches: true,
+        category: resultsCategoryRef.current,
+        offset: results.length,
+      });
+      if (requestId !== requestIdRef.current) return;
+
+      // Search failed meanwhile - hide the button instead of leaving it without effect
+      if (next.status !== SEARCH_STATUS.OK) {
+        setHasMore(false);
+        return;
+      }
+
+      setResults(previous => {
+        const shownIds = new Set(previous.map(item => item.QuestionIDIndex));
+        return [...previous, ...next.results.filter(item => !shownIds.has(item.QuestionIDIndex))];
+      });
+      setHasMore(next.hasMore);
+    } catch (error) {
+      logDataError(error, 'useLiveSearch', 'loadMore');
+      setHasMore(false);
+    }
+  }, [hasMore, isSearching, resultsQuery, results.length]);
+
+  return {
+    results,
+    facets,
+    total,
+    status,
+    normalization,
+    resultsQuery,
+    isSearching,
+    searchNow,
+    hasMore,
+    loadMore,
+    spellingSuggestions,
+  };
+}